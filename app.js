@@ -16,12 +16,33 @@
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-  PIN: '9633',
   PIN_TIMEOUT_MINUTES: 5,   // Only ask PIN every 5 minutes
-  EXPIRY_SOON_DAYS: 90,     // 3 months = orange
-  EXPIRY_OK_DAYS: 120,      // 4+ months = green
+  PIN_MAX_ATTEMPTS: 5,      // Wrong PINs before a staff profile locks
+  PIN_LOCKOUT_MINUTES: 5,
+  PIN_HASH_ITERATIONS: 100000,  // PBKDF2-SHA-256
+  LEGACY_PIN: '9633',       // Shared PIN from before staff profiles; only creates the first admin
   DEBOUNCE_MS: 2000,
   MAX_RECENT_SCANS: 10,     // Show 10 recent items on home
+  TRASH_RETENTION_DAYS: 30, // Deleted scans purge after this (user setting overrides)
+  MERGE_POLICY: 'gtin-batch-expiry',
+  LOCATION_PREFIX: 'LOC:',  // Shelf labels: "LOC:Fridge 1"
+  
+  // Expiry bands between expired and OK, nearest first (user settings override)
+  EXPIRY_TIERS: [
+    { id: 'critical', label: 'Under 1 month', days: 30, color: '#e85555' },
+    { id: 'soon', label: 'Under 3 months', days: 90, color: '#f6ad55' },
+    { id: 'watch', label: 'Under 4 months', days: 120, color: '#e5c235' }
+  ],
+  
+  // Keyboard wedge scanner defaults (user settings override)
+  WEDGE: {
+    enabled: false,
+    maxGapMs: 40,           // Longest pause between keys inside one scan
+    minLength: 6,           // Shorter bursts are treated as typing
+    prefix: '',             // Stripped from the start of each scan
+    suffix: '',             // Stripped from the end of each scan
+    terminators: ['Enter', 'Tab']  // Empty = end the scan on a pause
+  },
   
   // API Endpoints for product lookup (MEDICINE-FOCUSED)
   API: {
@@ -54,17 +75,86 @@ const State = {
   currentPage: 'home',
   searchQuery: '',
   activeFilter: 'all',
+  locationFilter: 'all',   // 'all' or a location name ('' = no location)
+  sessionScope: 'all',     // History/exports: 'all', 'none' or a session id
   
   // PIN - with timeout tracking
   pinCallback: null,
+  pinRole: 'scanner',      // Least role the waiting action needs
   pinInput: '',
   lastPinTime: 0,          // Timestamp of last successful PIN entry
   
+  // Staff
+  staff: [],               // { id, name, role, salt, hash, iterations, failedAttempts, lockedUntil }
+  currentStaff: null,      // Last staff member to enter their PIN
+  staffSetupCallback: null,
+  
   // Edit
   editingEntry: null,
   
+  // Trash: deleted rows { id, entry, deletedAt, deletedBy, reason }
+  trash: [],
+  trashRetentionDays: CONFIG.TRASH_RETENTION_DAYS,
+  
+  // Expiry tiers, and day overrides per product or master-data category
+  expiryTiers: CONFIG.EXPIRY_TIERS.map(t => ({ ...t })),
+  expiryOverrides: [],     // { kind: 'product'|'category', key, days: { tierId: n } }
+  masterCategories: new Map(),  // GTIN-14 (or internal code) -> category
+  tierDraft: null,         // Copy being edited in the tiers modal
+  
+  // Expiry calendar: bucket expanded to its rows
+  calendarBucket: null,
+  
+  // Day the expiry statuses on screen were worked out for
+  expiryDay: '',
+  expiryTimer: null,
+  
+  // History multi-select
+  selectionMode: false,
+  selectedIds: new Set(),
+  bulkAction: null,        // Action waiting in the bulk modal
+  
+  // Audit viewer filters
+  auditFilter: { from: '', to: '', action: 'all' },
+  
+  // Image scan: barcodes found in the last photo { code, format, box }
+  imageScanResults: [],
+  
+  // Confirm mode: scan waiting in the result modal { entry, parsed, matchedName }
+  pendingScan: null,
+  
+  // HIBC primary awaiting its secondary scan
+  lastHibcPrimary: null,
+  
+  // Per-line results of the last paste: { line, status, raw, gtin, batch, expiry, issues }
+  pasteReport: [],
+  
+  // Expected stock file { filename, importedAt, items: [{ gtin, batch, qty, name }] }
+  expectedStock: null,
+  
+  // Stock-take sessions { id, name, startedAt, closedAt }, newest first
+  sessions: [],
+  
+  // Locations: where scans are being counted now, and every place used
+  currentLocation: '',
+  locations: [],
+  
   // Settings
-  apiLookupEnabled: true
+  apiLookupEnabled: true,
+  scanMode: 'rapid',        // 'rapid' saves instantly, 'confirm' opens the result modal
+  mergePolicy: CONFIG.MERGE_POLICY,
+  wedge: { ...CONFIG.WEDGE },
+  cameraControls: {},       // { [cameraId]: { torch, zoom, focusMode, focusDistance, resolution } }
+  wedgeSuggestedGap: 0,
+  gsSubstitutes: ['|']      // Characters scanners send in place of FNC1
+};
+
+// How repeat scans are folded into one history row
+const MERGE_POLICIES = {
+  'gtin-batch-expiry': { label: 'GTIN + batch + expiry', index: 'gtinBatchExpiry', fields: ['gtin14', 'batch', 'expiry', 'location'] },
+  'gtin-expiry': { label: 'GTIN + expiry', index: 'gtinExpiry', fields: ['gtin14', 'expiry', 'location'] },
+  'gtin': { label: 'Per GTIN', index: 'gtinLocation', fields: ['gtin14', 'location'] },
+  'never': { label: 'Never merge', index: null, fields: [] }
 };
 
 // ============================================
@@ -72,7 +162,7 @@ const State = {
 // ============================================
 const DB = {
   name: 'oasis-pharmacy-db',
-  version: 2,
+  version: 9,
   instance: null,
   
   async init() {
@@ -96,6 +186,38 @@ const DB = {
           historyStore.createIndex('scanTime', 'scanTime', { unique: false });
         }
         
+        // v3: every serial counted in a row, as 'gtin14|serial'
+        const historyStore = e.target.transaction.objectStore('history');
+        if (!historyStore.indexNames.contains('serialKeys')) {
+          historyStore.createIndex('serialKeys', 'serialKeys', { unique: false, multiEntry: true });
+        }
+        
+        // v4/v5: merge policy keys, split by location
+        // (batch/expiry/location '' when missing, null can't be indexed)
+        if (e.oldVersion < 5) {
+          ['gtinBatchExpiry', 'gtinExpiry'].forEach(name => {
+            if (historyStore.indexNames.contains(name)) historyStore.deleteIndex(name);
+          });
+          historyStore.createIndex('gtinBatchExpiry', ['gtin14', 'batch', 'expiry', 'location'], { unique: false });
+          historyStore.createIndex('gtinExpiry', ['gtin14', 'expiry', 'location'], { unique: false });
+          historyStore.createIndex('gtinLocation', ['gtin14', 'location'], { unique: false });
+        }
+        
+        // Bring existing rows up to the current shape
+        if (e.oldVersion > 0 && e.oldVersion < 5) {
+          historyStore.openCursor().onsuccess = (ev) => {
+            const cursor = ev.target.result;
+            if (!cursor) return;
+            const entry = cursor.value;
+            if (entry.serial && !entry.serials) addSerial(entry, entry.serial, entry.scanTime);
+            entry.batch = entry.batch || '';
+            entry.expiry = entry.expiry || '';
+            entry.location = entry.location || '';
+            cursor.update(entry);
+            cursor.continue();
+          };
+        }
+        
         // Master data store
         if (!db.objectStoreNames.contains('master')) {
           db.createObjectStore('master', { keyPath: 'gtin' });
@@ -105,6 +227,29 @@ const DB = {
         if (!db.objectStoreNames.contains('settings')) {
           db.createObjectStore('settings', { keyPath: 'key' });
         }
+        
+        // v6: stock-take sessions
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        }
+        
+        // v7: audit trail (append-only, nothing deletes from it)
+        if (!db.objectStoreNames.contains('audit')) {
+          const auditStore = db.createObjectStore('audit', { keyPath: 'id', autoIncrement: true });
+          auditStore.createIndex('time', 'time', { unique: false });
+          auditStore.createIndex('uid', 'uid', { unique: true });
+        }
+        
+        // v8: staff profiles with hashed PINs
+        if (!db.objectStoreNames.contains('staff')) {
+          db.createObjectStore('staff', { keyPath: 'id', autoIncrement: true });
+        }
+        
+        // v9: soft-deleted history rows
+        if (!db.objectStoreNames.contains('trash')) {
+          const trashStore = db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+          trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+        }
       };
     });
   },
@@ -159,13 +304,30 @@ const DB = {
     });
   },
   
-  async findByGtinBatch(gtin14, batch) {
+  // Row a new scan should be added to under the current merge policy
+  // (never across stock-take sessions)
+  async findMergeTarget(entry) {
+    const policy = MERGE_POLICIES[State.mergePolicy] || MERGE_POLICIES[CONFIG.MERGE_POLICY];
+    if (!policy.index) return null;
+    
+    const values = policy.fields.map(f => entry[f] || '');
+    const key = values.length === 1 ? values[0] : values;
+    
     return new Promise((resolve, reject) => {
       const tx = this.instance.transaction('history', 'readonly');
-      const store = tx.objectStore('history');
-      const index = store.index('gtinBatch');
-      const req = index.get([gtin14, batch || '']);
-      req.onsuccess = () => resolve(req.result);
+      const req = tx.objectStore('history').index(policy.index).getAll(key);
+      req.onsuccess = () => resolve(req.result.find(h => h.id !== entry.id && sameSession(h, entry)) || null);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
+  // Row that already counted this serialised pack in the same session
+  async findBySerial(gtin14, serial, sessionId = null) {
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction('history', 'readonly');
+      const index = tx.objectStore('history').index('serialKeys');
+      const req = index.getAll(`${gtin14}|${serial}`);
+      req.onsuccess = () => resolve(req.result.find(h => sameSession(h, { sessionId })));
       req.onerror = () => reject(req.error);
     });
   }
@@ -193,674 +355,1954 @@ const Haptic = {
 };
 
 // ============================================
-// GS1 BARCODE PARSING
-// Supports: 5-21 digit codes, GS1-128, DataMatrix
+// GTIN NORMALISATION & VALIDATION
+// GTIN-8/12/13/14 with GS1 mod-10 check digit,
+// restricted circulation numbers and coupons
 // ============================================
-function parseGS1(raw) {
-  const result = {
-    valid: false,
-    raw: raw,
-    gtin14: '',
-    gtin13: '',
-    expiry: null,
-    expiryDDMMYY: '',
-    expiryFormatted: '',
-    expiryStatus: 'missing',
-    batch: '',
-    serial: '',
-    qty: 1,
-    rms: ''
-  };
+const GTIN = {
+  LENGTHS: [8, 12, 13, 14],
+  
+  // GS1 mod-10: weights 3,1,3,1... from the rightmost body digit
+  checkDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      const digit = parseInt(body[body.length - 1 - i]);
+      sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return (10 - (sum % 10)) % 10;
+  },
   
-  if (!raw || typeof raw !== 'string') return result;
+  isValid(code) {
+    const digits = String(code || '');
+    if (!/^\d+$/.test(digits) || !this.LENGTHS.includes(digits.length)) return false;
+    return this.checkDigit(digits.slice(0, -1)) === parseInt(digits.slice(-1));
+  },
   
-  let code = raw.trim().replace(/\x1d/g, '|');
+  // Classify the GS1 prefix of a GTIN-13 (or GTIN-14 without indicator)
+  classifyPrefix(gtin13) {
+    const p2 = gtin13.substring(0, 2);
+    const p3 = gtin13.substring(0, 3);
+    
+    if (p2 === '02' || p2 === '04' || (p2 >= '20' && p2 <= '29')) {
+      return 'restricted';
+    }
+    if (p2 === '05' || p2 === '99' || (p3 >= '981' && p3 <= '984')) {
+      return 'coupon';
+    }
+    if (p3 === '980') return 'refund';
+    return '';
+  },
   
-  // Handle plain numeric codes (5-21 digits) without AI
-  if (/^\d{5,21}$/.test(code) && !code.includes('(')) {
-    // Store as-is for matching
-    result.gtin14 = code.padStart(14, '0');
-    result.gtin13 = code.length <= 13 ? code : code.substring(0, 13);
-    result.valid = true;
+  /**
+   * Normalise a GTIN of any supported length.
+   * Returns null for codes that are not GTIN-length (internal codes).
+   */
+  normalize(code) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(digits) || !this.LENGTHS.includes(digits.length)) return null;
+    
+    const gtin14 = digits.padStart(14, '0');
+    const info = {
+      valid: false,
+      type: `GTIN-${digits.length}`,
+      gtin14,
+      gtin13: gtin14.substring(1),
+      reason: '',
+      restricted: false,
+      coupon: false,
+      warning: ''
+    };
+    
+    // A GTIN-14 with leading zeros is really a shorter GTIN
+    if (digits.length === 14) {
+      if (gtin14.startsWith('000000')) info.type = 'GTIN-8';
+      else if (gtin14.startsWith('00')) info.type = 'GTIN-12';
+      else if (gtin14.startsWith('0')) info.type = 'GTIN-13';
+    }
+    
+    const expected = this.checkDigit(gtin14.slice(0, -1));
+    const actual = parseInt(gtin14.slice(-1));
+    if (expected !== actual) {
+      info.reason = `${info.type} check digit is ${actual}, expected ${expected} (misread?)`;
+      return info;
+    }
+    info.valid = true;
     
-    // If it looks like a GS1-128 string starting with 01, try to parse it
-    if (code.startsWith('01') && code.length >= 16) {
-      // This might be a raw GS1 string without parentheses
-      code = convertToParenthesized(code);
+    let kind;
+    if (info.type === 'GTIN-8') {
+      // RCN-8: GTIN-8 numbers starting 0 or 2 are for internal use
+      const first = gtin14.charAt(6);
+      kind = first === '0' || first === '2' ? 'restricted' : '';
     } else {
-      return result;
+      kind = this.classifyPrefix(gtin14.substring(1));
+    }
+    
+    if (kind === 'restricted') {
+      info.restricted = true;
+      info.warning = 'Restricted circulation (in-store) code';
+    } else if (kind === 'coupon') {
+      info.coupon = true;
+      info.warning = 'Coupon code, not a product';
+    } else if (kind === 'refund') {
+      info.coupon = true;
+      info.warning = 'Refund receipt, not a product';
     }
+    
+    return info;
   }
-  
-  // Handle very short codes (internal codes, 5-7 digits)
-  if (/^\d{5,7}$/.test(code)) {
-    result.gtin14 = code;
-    result.gtin13 = code;
-    result.valid = true;
-    return result;
+};
+
+// ============================================
+// GS1 APPLICATION IDENTIFIERS
+// Data-driven AI dictionary (GS1 General Specifications, section 3)
+//   type:    'N' numeric, 'X' alphanumeric (CSET 82)
+//   min/max: length of the data field (fixed when equal)
+//   decimal: last AI digit is the implied decimal point position
+//   date:    value starts with a YYMMDD date
+//   parts:   composite format as [type, length] or [type, 0, max]
+// ============================================
+const GS1_AI = {
+  '00': { title: 'SSCC', type: 'N', min: 18, max: 18 },
+  '01': { title: 'GTIN', type: 'N', min: 14, max: 14 },
+  '02': { title: 'CONTENT', type: 'N', min: 14, max: 14 },
+  '03': { title: 'MTO GTIN', type: 'N', min: 14, max: 14 },
+  '10': { title: 'BATCH/LOT', type: 'X', min: 1, max: 20 },
+  '11': { title: 'PROD DATE', type: 'N', min: 6, max: 6, date: true },
+  '12': { title: 'DUE DATE', type: 'N', min: 6, max: 6, date: true },
+  '13': { title: 'PACK DATE', type: 'N', min: 6, max: 6, date: true },
+  '15': { title: 'BEST BEFORE', type: 'N', min: 6, max: 6, date: true },
+  '16': { title: 'SELL BY', type: 'N', min: 6, max: 6, date: true },
+  '17': { title: 'USE BY', type: 'N', min: 6, max: 6, date: true },
+  '20': { title: 'VARIANT', type: 'N', min: 2, max: 2 },
+  '21': { title: 'SERIAL', type: 'X', min: 1, max: 20 },
+  '22': { title: 'CPV', type: 'X', min: 1, max: 20 },
+  '235': { title: 'TPX', type: 'X', min: 1, max: 28 },
+  '240': { title: 'ADDITIONAL ID', type: 'X', min: 1, max: 30 },
+  '241': { title: 'CUST. PART No.', type: 'X', min: 1, max: 30 },
+  '242': { title: 'MTO VARIANT', type: 'N', min: 1, max: 6 },
+  '243': { title: 'PCN', type: 'X', min: 1, max: 20 },
+  '250': { title: 'SECONDARY SERIAL', type: 'X', min: 1, max: 30 },
+  '251': { title: 'REF. TO SOURCE', type: 'X', min: 1, max: 30 },
+  '253': { title: 'GDTI', type: 'X', min: 13, max: 30 },
+  '254': { title: 'GLN EXTENSION COMPONENT', type: 'X', min: 1, max: 20 },
+  '255': { title: 'GCN', type: 'N', min: 13, max: 25 },
+  '30': { title: 'VAR. COUNT', type: 'N', min: 1, max: 8 },
+  '37': { title: 'COUNT', type: 'N', min: 1, max: 8 },
+  '400': { title: 'ORDER NUMBER', type: 'X', min: 1, max: 30 },
+  '401': { title: 'GINC', type: 'X', min: 1, max: 30 },
+  '402': { title: 'GSIN', type: 'N', min: 17, max: 17 },
+  '403': { title: 'ROUTE', type: 'X', min: 1, max: 30 },
+  '410': { title: 'SHIP TO LOC', type: 'N', min: 13, max: 13 },
+  '411': { title: 'BILL TO', type: 'N', min: 13, max: 13 },
+  '412': { title: 'PURCHASE FROM', type: 'N', min: 13, max: 13 },
+  '413': { title: 'SHIP FOR LOC', type: 'N', min: 13, max: 13 },
+  '414': { title: 'LOC No.', type: 'N', min: 13, max: 13 },
+  '415': { title: 'PAY TO', type: 'N', min: 13, max: 13 },
+  '416': { title: 'PROD/SERV LOC', type: 'N', min: 13, max: 13 },
+  '417': { title: 'PARTY', type: 'N', min: 13, max: 13 },
+  '420': { title: 'SHIP TO POST', type: 'X', min: 1, max: 20 },
+  '421': { title: 'SHIP TO POST', type: 'X', min: 4, max: 12 },
+  '422': { title: 'ORIGIN', type: 'N', min: 3, max: 3 },
+  '423': { title: 'COUNTRY - INITIAL PROCESS', type: 'N', min: 3, max: 15 },
+  '424': { title: 'COUNTRY - PROCESS', type: 'N', min: 3, max: 3 },
+  '425': { title: 'COUNTRY - DISASSEMBLY', type: 'N', min: 3, max: 15 },
+  '426': { title: 'COUNTRY - FULL PROCESS', type: 'N', min: 3, max: 3 },
+  '427': { title: 'ORIGIN SUBDIVISION', type: 'X', min: 1, max: 3 },
+  '7001': { title: 'NSN', type: 'N', min: 13, max: 13 },
+  '7002': { title: 'MEAT CUT', type: 'X', min: 1, max: 30 },
+  '7003': { title: 'EXPIRY TIME', type: 'N', min: 10, max: 10, date: true },
+  '7004': { title: 'ACTIVE POTENCY', type: 'N', min: 1, max: 4 },
+  '7005': { title: 'CATCH AREA', type: 'X', min: 1, max: 12 },
+  '7006': { title: 'FIRST FREEZE DATE', type: 'N', min: 6, max: 6, date: true },
+  '7007': { title: 'HARVEST DATE', type: 'N', min: 6, max: 12, date: true },
+  '7008': { title: 'AQUATIC SPECIES', type: 'X', min: 1, max: 3 },
+  '7009': { title: 'FISHING GEAR TYPE', type: 'X', min: 1, max: 10 },
+  '7010': { title: 'PROD METHOD', type: 'X', min: 1, max: 2 },
+  '7011': { title: 'TEST BY DATE', type: 'N', min: 6, max: 10, date: true },
+  '7020': { title: 'REFURB LOT', type: 'X', min: 1, max: 20 },
+  '7021': { title: 'FUNC STAT', type: 'X', min: 1, max: 20 },
+  '7022': { title: 'REV STAT', type: 'X', min: 1, max: 20 },
+  '7023': { title: 'GIAI - ASSEMBLY', type: 'X', min: 1, max: 30 },
+  '7040': { title: 'UIC+EXT', type: 'X', min: 4, max: 4 },
+  '710': { title: 'NHRN PZN', type: 'X', min: 1, max: 20 },
+  '711': { title: 'NHRN CIP', type: 'X', min: 1, max: 20 },
+  '712': { title: 'NHRN CN', type: 'X', min: 1, max: 20 },
+  '713': { title: 'NHRN DRN', type: 'X', min: 1, max: 20 },
+  '714': { title: 'NHRN AIM', type: 'X', min: 1, max: 20 },
+  '715': { title: 'NHRN NDC', type: 'X', min: 1, max: 20 },
+  '716': { title: 'NHRN AIC', type: 'X', min: 1, max: 20 },
+  '7240': { title: 'PROTOCOL', type: 'X', min: 1, max: 20 },
+  '7241': { title: 'AIDC MEDIA TYPE', type: 'N', min: 2, max: 2 },
+  '7242': { title: 'VCN', type: 'X', min: 1, max: 25 },
+  '8001': { title: 'DIMENSIONS', type: 'N', min: 14, max: 14 },
+  '8002': { title: 'CMT No.', type: 'X', min: 1, max: 20 },
+  '8003': { title: 'GRAI', type: 'X', min: 14, max: 30 },
+  '8004': { title: 'GIAI', type: 'X', min: 1, max: 30 },
+  '8005': { title: 'PRICE PER UNIT', type: 'N', min: 6, max: 6 },
+  '8006': { title: 'ITIP', type: 'N', min: 18, max: 18 },
+  '8007': { title: 'IBAN', type: 'X', min: 1, max: 34 },
+  '8008': { title: 'PROD TIME', type: 'N', min: 8, max: 12, date: true },
+  '8009': { title: 'OPTSEN', type: 'X', min: 1, max: 50 },
+  '8010': { title: 'CPID', type: 'X', min: 1, max: 30 },
+  '8011': { title: 'CPID SERIAL', type: 'N', min: 1, max: 12 },
+  '8012': { title: 'VERSION', type: 'X', min: 1, max: 20 },
+  '8013': { title: 'GMN', type: 'X', min: 1, max: 25 },
+  '8017': { title: 'GSRN - PROVIDER', type: 'N', min: 18, max: 18 },
+  '8018': { title: 'GSRN - RECIPIENT', type: 'N', min: 18, max: 18 },
+  '8019': { title: 'SRIN', type: 'N', min: 1, max: 10 },
+  '8020': { title: 'REF No.', type: 'X', min: 1, max: 25 },
+  '8026': { title: 'ITIP CONTENT', type: 'N', min: 18, max: 18 },
+  '8030': { title: 'DIGSIG', type: 'X', min: 1, max: 90 },
+  '8110': { title: 'COUPON', type: 'X', min: 1, max: 70 },
+  '8111': { title: 'POINTS', type: 'N', min: 4, max: 4 },
+  '8112': { title: 'COUPON', type: 'X', min: 1, max: 70 },
+  '8200': { title: 'PRODUCT URL', type: 'X', min: 1, max: 70 },
+  '90': { title: 'INTERNAL', type: 'X', min: 1, max: 30 }
+};
+
+// Company internal information (91-99)
+for (let ai = 91; ai <= 99; ai++) {
+  GS1_AI[String(ai)] = { title: 'INTERNAL', type: 'X', min: 1, max: 90 };
+}
+
+// Certification references (7230-7239) and processor approvals (7030-7039)
+for (let n = 0; n <= 9; n++) {
+  GS1_AI[`723${n}`] = { title: 'CERT #', type: 'X', min: 3, max: 30 };
+  GS1_AI[`703${n}`] = { title: 'PROCESSOR #', type: 'X', min: 4, max: 30 };
+}
+
+// Ship-to / return-to addressing (4300-4326)
+[
+  ['4300', 'SHIP TO COMP', 'X', 1, 35], ['4301', 'SHIP TO NAME', 'X', 1, 35],
+  ['4302', 'SHIP TO ADD1', 'X', 1, 70], ['4303', 'SHIP TO ADD2', 'X', 1, 70],
+  ['4304', 'SHIP TO SUB', 'X', 1, 70], ['4305', 'SHIP TO LOC', 'X', 1, 70],
+  ['4306', 'SHIP TO REG', 'X', 1, 70], ['4307', 'SHIP TO COUNTRY', 'X', 2, 2],
+  ['4308', 'SHIP TO PHONE', 'X', 1, 30], ['4309', 'SHIP TO GEO', 'N', 20, 20],
+  ['4310', 'RTN TO COMP', 'X', 1, 35], ['4311', 'RTN TO NAME', 'X', 1, 35],
+  ['4312', 'RTN TO ADD1', 'X', 1, 70], ['4313', 'RTN TO ADD2', 'X', 1, 70],
+  ['4314', 'RTN TO SUB', 'X', 1, 70], ['4315', 'RTN TO LOC', 'X', 1, 70],
+  ['4316', 'RTN TO REG', 'X', 1, 70], ['4317', 'RTN TO COUNTRY', 'X', 2, 2],
+  ['4318', 'RTN TO POST', 'X', 1, 20], ['4319', 'RTN TO PHONE', 'X', 1, 30],
+  ['4320', 'SRV DESCRIPTION', 'X', 1, 35], ['4321', 'DANGEROUS GOODS', 'N', 1, 1],
+  ['4322', 'AUTH LEAVE', 'N', 1, 1], ['4323', 'SIG REQUIRED', 'N', 1, 1],
+  ['4324', 'NBEF DEL DT', 'N', 10, 10], ['4325', 'NAFT DEL DT', 'N', 10, 10],
+  ['4326', 'REL DATE', 'N', 6, 6]
+].forEach(([ai, title, type, min, max]) => {
+  GS1_AI[ai] = { title, type, min, max };
+});
+
+// Measures with implied decimal point: AI '310n' etc., n = decimals
+const GS1_DECIMAL_AIS = {
+  '310': 'NET WEIGHT (kg)', '311': 'LENGTH (m)', '312': 'WIDTH (m)', '313': 'HEIGHT (m)',
+  '314': 'AREA (m2)', '315': 'NET VOLUME (l)', '316': 'NET VOLUME (m3)',
+  '320': 'NET WEIGHT (lb)', '321': 'LENGTH (in)', '322': 'LENGTH (ft)', '323': 'LENGTH (yd)',
+  '324': 'WIDTH (in)', '325': 'WIDTH (ft)', '326': 'WIDTH (yd)', '327': 'HEIGHT (in)',
+  '328': 'HEIGHT (ft)', '329': 'HEIGHT (yd)', '330': 'GROSS WEIGHT (kg)', '331': 'LENGTH (m), log',
+  '332': 'WIDTH (m), log', '333': 'HEIGHT (m), log', '334': 'AREA (m2), log', '335': 'VOLUME (l), log',
+  '336': 'VOLUME (m3), log', '337': 'KG PER m2', '340': 'GROSS WEIGHT (lb)', '341': 'LENGTH (in), log',
+  '342': 'LENGTH (ft), log', '343': 'LENGTH (yd), log', '344': 'WIDTH (in), log', '345': 'WIDTH (ft), log',
+  '346': 'WIDTH (yd), log', '347': 'HEIGHT (in), log', '348': 'HEIGHT (ft), log', '349': 'HEIGHT (yd), log',
+  '350': 'AREA (in2)', '351': 'AREA (ft2)', '352': 'AREA (yd2)', '353': 'AREA (in2), log',
+  '354': 'AREA (ft2), log', '355': 'AREA (yd2), log', '356': 'NET WEIGHT (troy oz)',
+  '357': 'NET VOLUME (oz)', '360': 'NET VOLUME (qt)', '361': 'NET VOLUME (gal)',
+  '362': 'VOLUME (qt), log', '363': 'VOLUME (gal), log', '364': 'VOLUME (in3)', '365': 'VOLUME (ft3)',
+  '366': 'VOLUME (yd3)', '367': 'VOLUME (in3), log', '368': 'VOLUME (ft3), log', '369': 'VOLUME (yd3), log'
+};
+
+Object.entries(GS1_DECIMAL_AIS).forEach(([prefix, title]) => {
+  for (let n = 0; n <= 5; n++) {
+    GS1_AI[prefix + n] = { title, type: 'N', min: 6, max: 6, decimal: true };
   }
-  
-  // Convert raw to parenthesized format if needed
-  if (!code.includes('(') && /^\d{2}/.test(code)) {
-    code = convertToParenthesized(code);
+});
+
+// Amounts and prices: 391n/393n carry an ISO 4217 currency code first
+for (let n = 0; n <= 9; n++) {
+  GS1_AI[`390${n}`] = { title: 'AMOUNT', type: 'N', min: 1, max: 15, decimal: true };
+  GS1_AI[`391${n}`] = { title: 'AMOUNT', type: 'N', min: 4, max: 18, decimal: true, currency: true };
+  GS1_AI[`392${n}`] = { title: 'PRICE', type: 'N', min: 1, max: 15, decimal: true };
+  GS1_AI[`393${n}`] = { title: 'PRICE', type: 'N', min: 4, max: 18, decimal: true, currency: true };
+}
+for (let n = 0; n <= 3; n++) {
+  GS1_AI[`394${n}`] = { title: 'PRCNT OFF', type: 'N', min: 4, max: 4, decimal: true };
+}
+for (let n = 0; n <= 5; n++) {
+  GS1_AI[`395${n}`] = { title: 'PRICE/UoM', type: 'N', min: 6, max: 6, decimal: true };
+}
+
+// Composite formats (e.g. 8008 = N8+N..4), used when decoding compressed Digital Links
+[
+  ['253', [['N', 13], ['X', 0, 17]]], ['255', [['N', 13], ['N', 0, 12]]],
+  ['421', [['N', 3], ['X', 0, 9]]], ['423', [['N', 3], ['N', 0, 12]]],
+  ['425', [['N', 3], ['N', 0, 12]]], ['7007', [['N', 6], ['N', 0, 6]]],
+  ['7011', [['N', 6], ['N', 0, 4]]], ['8003', [['N', 14], ['X', 0, 16]]],
+  ['8008', [['N', 8], ['N', 0, 4]]]
+].forEach(([ai, parts]) => {
+  GS1_AI[ai].parts = parts;
+});
+for (let n = 0; n <= 9; n++) {
+  GS1_AI[`391${n}`].parts = [['N', 3], ['N', 0, 15]];
+  GS1_AI[`393${n}`].parts = [['N', 3], ['N', 0, 15]];
+  GS1_AI[`703${n}`].parts = [['N', 3], ['X', 0, 27]];
+}
+
+const GS1_DATE_AIS = ['11', '13', '15', '17', '7003'];
+
+const GS1_CSET82 = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/;
+const GS = '\x1d';
+
+// Find the AI at the start of an element string (AIs are prefix-free)
+function lookupAI(code, pos) {
+  for (const len of [2, 3, 4]) {
+    const ai = code.substring(pos, pos + len);
+    if (ai.length === len && GS1_AI[ai]) return ai;
   }
-  
-  // Extract GS1 Application Identifiers
-  const patterns = {
-    gtin: /\(01\)(\d{12,14})/,
-    expiry: /\(17\)(\d{6})/,
-    batch: /\(10\)([^\(|\x1d]+)/,
-    serial: /\(21\)([^\(|\x1d]+)/,
-    qty: /\(30\)(\d+)/
-  };
-  
-  // GTIN (AI 01)
-  const gtinMatch = code.match(patterns.gtin);
-  if (gtinMatch) {
-    result.gtin14 = gtinMatch[1].padStart(14, '0');
-    result.gtin13 = result.gtin14.startsWith('0') ? result.gtin14.substring(1) : result.gtin14;
-    result.valid = true;
+  return null;
+}
+
+// Numeric value of a decimal-point AI ('3103', '000525' -> 0.525)
+function gs1DecimalValue(ai, value) {
+  const def = GS1_AI[ai];
+  if (!def || !def.decimal) return null;
+  const digits = def.currency ? value.substring(3) : value;
+  const decimals = parseInt(ai.slice(-1));
+  return parseInt(digits, 10) / Math.pow(10, decimals);
+}
+
+// Offset of a date AI + valid YYMMDD inside a variable-length value
+// (-1 if none). The trailing position is tried first.
+function findRunOnDate(value) {
+  const starts = [];
+  for (let i = value.length - 8; i >= 1; i--) starts.push(i);
+  return starts.find(i => {
+    const ai = value.substring(i, i + 2);
+    const date = value.substring(i + 2, i + 8);
+    return GS1_DATE_AIS.includes(ai) && /^\d{6}$/.test(date) && !gs1DateProblem(date, ai);
+  }) ?? -1;
+}
+
+// Validate one AI value against the dictionary ('' when fine)
+function checkAIValue(ai, value) {
+  const def = GS1_AI[ai];
+  
+  if (value.length < def.min) {
+    return def.min === def.max
+      ? `AI (${ai}) needs ${def.min} characters, got ${value.length} (data cut short?)`
+      : `AI (${ai}) needs at least ${def.min} characters, got ${value.length}`;
   }
-  
-  // Expiry Date (AI 17)
-  const expiryMatch = code.match(patterns.expiry);
-  if (expiryMatch) {
-    const parsed = parseExpiryDate(expiryMatch[1]);
-    result.expiry = parsed.iso;
-    result.expiryDDMMYY = parsed.ddmmyy;
-    result.expiryFormatted = parsed.formatted;
-    result.expiryStatus = calculateExpiryStatus(parsed.iso);
+  if (value.length > def.max) {
+    return `AI (${ai}) allows at most ${def.max} characters, got ${value.length}`;
   }
-  
-  // Batch/Lot (AI 10)
-  const batchMatch = code.match(patterns.batch);
-  if (batchMatch) {
-    result.batch = batchMatch[1].replace(/\|/g, '').trim();
+  if (def.type === 'N' && !/^\d+$/.test(value)) {
+    return `AI (${ai}) must be numeric`;
   }
-  
-  // Serial Number (AI 21)
-  const serialMatch = code.match(patterns.serial);
-  if (serialMatch) {
-    result.serial = serialMatch[1].replace(/\|/g, '').trim();
+  if (def.type === 'X' && !GS1_CSET82.test(value)) {
+    return `AI (${ai}) contains characters not allowed in GS1 data`;
   }
-  
-  // Quantity (AI 30)
-  const qtyMatch = code.match(patterns.qty);
-  if (qtyMatch) {
-    result.qty = parseInt(qtyMatch[1]) || 1;
+  if (def.date) {
+    const problem = gs1DateProblem(value, ai);
+    if (problem) return `AI (${ai}) ${def.title.toLowerCase()}: ${problem}`;
   }
-  
-  return result;
+  return '';
 }
 
-function convertToParenthesized(code) {
-  const aiLengths = {
-    '01': 14, '02': 14,
-    '10': -1, '21': -1, '22': -1,
-    '11': 6, '13': 6, '15': 6, '17': 6,
-    '30': -1, '37': -1,
-    '00': 18, '20': 2
-  };
-  
-  let result = '';
+// Record an AI value, reporting repeats
+function addAIValue(ais, ai, value, pos, errors, warnings) {
+  if (ai in ais) {
+    if (ais[ai] === value) {
+      warnings.push({ pos, message: `AI (${ai}) appears twice` });
+    } else {
+      errors.push({ pos, message: `AI (${ai}) appears twice with different values`, conflict: true });
+    }
+  }
+  ais[ai] = value;
+}
+
+/**
+ * Split a raw element string (FNC1 as GS) into { ai: value }.
+ * Errors and warnings are { pos, message } with pos the 0-based
+ * character offset in the code.
+ */
+function splitElementString(code) {
+  const ais = {};
+  const errors = [];
+  const warnings = [];
   let pos = 0;
   
   while (pos < code.length) {
-    const ai2 = code.substring(pos, pos + 2);
-    const ai3 = code.substring(pos, pos + 3);
-    
-    let ai = '';
-    let length = 0;
-    
-    if (aiLengths[ai2] !== undefined) {
-      ai = ai2;
-      length = aiLengths[ai2];
-    } else if (aiLengths[ai3] !== undefined) {
-      ai = ai3;
-      length = aiLengths[ai3];
-    } else {
-      pos++;
-      continue;
+    if (code[pos] === GS) { pos++; continue; }
+    
+    const ai = lookupAI(code, pos);
+    if (!ai) {
+      errors.push({ pos, message: `Unknown AI "${code.substring(pos, pos + 4).replace(GS, '')}"` });
+      break;
     }
     
+    const def = GS1_AI[ai];
+    const aiPos = pos;
     pos += ai.length;
     
-    if (length > 0) {
-      result += `(${ai})${code.substring(pos, pos + length)}`;
-      pos += length;
+    let value;
+    if (def.min === def.max) {
+      value = code.substring(pos, pos + def.max);
+      const gsAt = value.indexOf(GS);
+      if (gsAt !== -1) {
+        errors.push({ pos: pos + gsAt, message: `AI (${ai}) is cut short by a separator` });
+        value = value.substring(0, gsAt);
+      }
+      pos += value.length;
     } else {
-      // Variable length field
-      let value = '';
-      while (pos < code.length) {
-        const char = code[pos];
-        if (char === '|' || char === '\x1d') { pos++; break; }
-        const peek2 = code.substring(pos, pos + 2);
-        const peek3 = code.substring(pos, pos + 3);
-        if ((aiLengths[peek2] !== undefined || aiLengths[peek3] !== undefined) && value.length > 0) break;
-        value += char;
-        pos++;
+      // Variable length: runs to the next FNC1 or the end of the data
+      const end = code.indexOf(GS, pos);
+      value = code.substring(pos, end === -1 ? code.length : end);
+      
+      // Printers that drop the FNC1 run the next AI into the value.
+      // Only a batch (10) has a date split off its end; a serial or
+      // other value may really end in those digits, so it is flagged
+      const runOn = end === -1 ? findRunOnDate(value) : -1;
+      const runOnAI = runOn === -1 ? '' : value.substring(runOn, runOn + 2);
+      if (ai === '10' && runOn !== -1 && runOn + 8 === value.length && !(runOnAI in ais)) {
+        warnings.push({
+          pos: pos + runOn,
+          message: `No separator after AI (${ai}); read the trailing "${value.substring(runOn)}" as AI (${runOnAI})`
+        });
+        value = value.substring(0, runOn);
+      } else if (runOn !== -1) {
+        warnings.push({
+          pos: pos + runOn,
+          message: `AI (${ai}) may contain AI (${runOnAI}) "${value.substring(runOn, runOn + 8)}"; missing separator?`
+        });
       }
-      result += `(${ai})${value}`;
+      if (value.length > def.max) {
+        errors.push({
+          pos: pos + def.max,
+          message: `AI (${ai}) allows at most ${def.max} characters; missing separator after it?`
+        });
+        value = value.substring(0, def.max);
+      }
+      pos += value.length;
     }
+    
+    const problem = checkAIValue(ai, value);
+    if (problem) errors.push({ pos: aiPos, message: problem });
+    
+    addAIValue(ais, ai, value, aiPos, errors, warnings);
   }
   
-  return result || code;
+  return { ais, errors, warnings };
 }
 
-function parseExpiryDate(yymmdd) {
-  const year = parseInt('20' + yymmdd.substring(0, 2));
-  const month = parseInt(yymmdd.substring(2, 4));
-  let day = parseInt(yymmdd.substring(4, 6));
-  
-  // Day 00 means last day of month
-  if (day === 0) {
-    day = new Date(year, month, 0).getDate();
+// Split human-readable "(01)...(17)..." text
+function splitParenthesized(code) {
+  const ais = {};
+  const errors = [];
+  const warnings = [];
+  const re = /\((\d{2,4})\)([^(]*)/g;
+  let m;
+  
+  if (!code.startsWith('(')) {
+    errors.push({ pos: 0, message: 'Text before the first "(AI)" was ignored' });
   }
   
-  const date = new Date(year, month - 1, day);
+  while ((m = re.exec(code)) !== null) {
+    const ai = m[1];
+    const value = m[2].replace(new RegExp(GS, 'g'), '').trim();
+    if (!GS1_AI[ai]) {
+      errors.push({ pos: m.index, message: `Unknown AI (${ai})` });
+      continue;
+    }
+    
+    const problem = checkAIValue(ai, value);
+    if (problem) errors.push({ pos: m.index, message: problem });
+    
+    addAIValue(ais, ai, value, m.index, errors, warnings);
+  }
   
-  return {
-    iso: date.toISOString().split('T')[0],
-    ddmmyy: `${String(day).padStart(2, '0')}${String(month).padStart(2, '0')}${yymmdd.substring(0, 2)}`,
-    formatted: `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`
-  };
+  return { ais, errors, warnings };
 }
 
-function calculateExpiryStatus(isoDate) {
-  if (!isoDate) return 'missing';
-  
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+// ============================================
+// GS1 DATES
+// YYMMDD with the sliding century window, day 00 = month only,
+// kept as local calendar dates ('YYYY-MM-DD', never via UTC)
+// ============================================
+
+// GS1 General Specifications 7.12: a YY 51+ years ahead of the current
+// year belongs to the previous century, 50+ years behind to the next
+function gs1Year(yy, now = new Date()) {
+  const current = now.getFullYear();
+  const century = current - (current % 100);
+  const diff = parseInt(yy, 10) - (current % 100);
+  
+  if (diff >= 51) return century - 100 + parseInt(yy, 10);
+  if (diff <= -50) return century + 100 + parseInt(yy, 10);
+  return century + parseInt(yy, 10);
+}
+
+function localISODate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD' -> local midnight (new Date('YYYY-MM-DD') would be UTC)
+function parseLocalDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Calendar check for a date AI value ('' when fine). YYMMDD may be
+// followed by HHMM (7003, 7011) or a second YYMMDD (7007 ranges).
+function gs1DateProblem(value, ai = '') {
+  const yymmdd = value.substring(0, 6);
+  const month = parseInt(yymmdd.substring(2, 4), 10);
+  const day = parseInt(yymmdd.substring(4, 6), 10);
+  
+  if (!/^\d{6}/.test(value)) return 'date must be YYMMDD';
+  if (month < 1 || month > 12) return `month ${yymmdd.substring(2, 4)} does not exist`;
+  
+  const daysInMonth = new Date(gs1Year(yymmdd.substring(0, 2)), month, 0).getDate();
+  if (day > daysInMonth) return `day ${yymmdd.substring(4, 6)} does not exist in month ${yymmdd.substring(2, 4)}`;
+  if (day === 0 && (ai === '7003' || ai === '7011')) return 'day 00 is not allowed with a time';
+  
+  if (ai === '7007' && value.length === 12) {
+    return gs1DateProblem(value.substring(6), '7007-end');
+  }
+  if (value.length >= 10) {
+    const hour = parseInt(value.substring(6, 8), 10);
+    const minute = parseInt(value.substring(8, 10), 10);
+    if (hour > 23 || minute > 59) return `time ${value.substring(6, 8)}:${value.substring(8, 10)} does not exist`;
+  }
+  return '';
+}
+
+/**
+ * Parse a GS1 date (YYMMDD, optionally + HHMM). Returns null for
+ * impossible dates, otherwise:
+ *   iso       - 'YYYY-MM-DD' local date; month-only dates use the last day
+ *   ddmmyy    - as printed on the label, '00' day kept for month-only
+ *   formatted - 'DD/MM/YYYY', or 'MM/YYYY' for month-only
+ *   monthOnly - label gave no day (day 00)
+ *   time      - 'HH:MM' when present
+ */
+function parseExpiryDate(value, ai = '') {
+  if (!value || gs1DateProblem(value, ai)) return null;
   
-  const expiry = new Date(isoDate);
-  expiry.setHours(0, 0, 0, 0);
+  const yy = value.substring(0, 2);
+  const year = gs1Year(yy);
+  const month = parseInt(value.substring(2, 4), 10);
+  const labelDay = parseInt(value.substring(4, 6), 10);
+  const monthOnly = labelDay === 0;
   
-  const diffDays = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
+  // Day 00 means the last day of the month
+  const day = monthOnly ? new Date(year, month, 0).getDate() : labelDay;
+  const mm = String(month).padStart(2, '0');
+  const time = value.length >= 10 && ai !== '7007' ? `${value.substring(6, 8)}:${value.substring(8, 10)}` : '';
   
-  if (diffDays < 0) return 'expired';
-  if (diffDays <= CONFIG.EXPIRY_SOON_DAYS) return 'soon';
-  return 'ok';
+  return {
+    iso: localISODate(year, month, day),
+    ddmmyy: `${value.substring(4, 6)}${mm}${yy}`,
+    formatted: monthOnly ? `${mm}/${year}` : `${String(day).padStart(2, '0')}/${mm}/${year}`,
+    monthOnly,
+    time
+  };
+}
+
+// 'YYYY-MM-DD' from a date picker -> same shape as parseExpiryDate
+function expiryFromISO(iso) {
+  const [year, month, day] = iso.split('-');
+  return {
+    iso,
+    ddmmyy: `${day}${month}${year.slice(-2)}`,
+    formatted: `${day}/${month}/${year}`,
+    monthOnly: false,
+    time: ''
+  };
 }
 
 // ============================================
-// PRODUCT MATCHING (Local Master)
-// Supports ALL barcode types: 5-21 digits
-// Matching priority: Exact → GTIN variations → Last8
+// GS1 DIGITAL LINK
+// https://id.gs1.org/01/05012345678900/10/ABC?17=271231
+// Uncompressed, partially and fully compressed URIs
 // ============================================
-function matchProduct(gtin14, gtin13) {
-  const idx = State.masterIndex;
+const DL_SHORT_NAMES = {
+  sscc: '00', gtin: '01', lot: '10', exp: '17', ser: '21', cpv: '22',
+  gdti: '253', glnx: '254', gcn: '255', ginc: '401', gsin: '402',
+  gln: '414', payto: '415', expdt: '7003', grai: '8003', giai: '8004',
+  itip: '8006', cpid: '8010', cpsn: '8011', gsrnp: '8017', gsrn: '8018', srin: '8019'
+};
+
+const DL_BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Optimised AI sequences (GS1 Digital Link compression, table Opt),
+// in ascending AI order as written by the GS1 reference toolkit
+const DL_OPTIMISATIONS = {
+  '0A': ['01', '22'], '0B': ['01', '10'], '0C': ['01', '21'], '0D': ['01', '17'],
+  '0E': ['01', '7003'], '0F': ['01', '30'], '1A': ['01', '10', '17', '21'],
+  '1B': ['01', '15'], '1C': ['01', '11'], '1D': ['01', '16'], '1E': ['01', '91'],
+  '1F': ['01', '10', '15'], '9A': ['8010', '8011'], '9B': ['8017', '8019'],
+  '9C': ['8018', '8019'], '9D': ['254', '414']
+};
+for (let n = 0; n <= 5; n++) {
+  DL_OPTIMISATIONS[`2${'ABCDEF'[n]}`] = ['01', `310${n}`];
+  DL_OPTIMISATIONS[`3${'ABCDEF'[n]}`] = ['01', `320${n}`];
+}
+for (let n = 0; n <= 9; n++) {
+  DL_OPTIMISATIONS[`A${n}`] = ['01', `392${n}`];
+  DL_OPTIMISATIONS[`C${n}`] = ['255', `390${n}`];
+}
+for (let n = 0; n <= 3; n++) {
+  DL_OPTIMISATIONS[`C${'ABCD'[n]}`] = ['255', `394${n}`];
+}
+
+function dlAI(key) {
+  if (/^\d{2,4}$/.test(key)) return GS1_AI[key] ? key : null;
+  return DL_SHORT_NAMES[key] || null;
+}
+
+function isDigitalLink(code) {
+  return /^https?:\/\//i.test(code);
+}
+
+function parseDigitalLink(uri) {
+  const ais = {};
+  const errors = [];
+  const warnings = [];
+  let url;
   
-  // Get digits only (remove any non-numeric)
-  const digits14 = (gtin14 || '').replace(/\D/g, '');
-  const digits13 = (gtin13 || '').replace(/\D/g, '');
+  try {
+    url = new URL(uri);
+  } catch (e) {
+    errors.push({ pos: 0, message: 'Malformed Digital Link URI' });
+    return { ais, errors, warnings };
+  }
   
-  // 1. Exact match on original code
-  if (digits14 && idx.exact.has(digits14)) {
-    return { name: idx.exact.get(digits14), type: 'EXACT' };
+  // A stray '%' (or bad UTF-8) makes decoding throw: report where
+  const segments = [];
+  for (const raw of url.pathname.split('/').filter(Boolean)) {
+    try {
+      segments.push(decodeURIComponent(raw));
+    } catch (e) {
+      const start = Math.max(0, uri.indexOf(raw));
+      const bad = raw.search(/%(?![0-9A-Fa-f]{2})/);
+      errors.push({ pos: start + Math.max(0, bad), message: `Invalid percent-encoding in "${raw}"` });
+      return { ais, errors, warnings };
+    }
   }
   
-  if (digits13 && idx.exact.has(digits13)) {
-    return { name: idx.exact.get(digits13), type: 'EXACT' };
+  // Path: /{custom path}/{primary key AI}/{value}/{qualifier AI}/{value}...
+  let i = segments.findIndex(seg => dlAI(seg));
+  if (i === -1) {
+    // Fully compressed: the last path segment carries every AI
+    const last = segments[segments.length - 1] || '';
+    if (!/^[A-Za-z0-9_-]+$/.test(last)) {
+      errors.push({ pos: null, message: 'No GS1 primary key in Digital Link path' });
+      return { ais, errors, warnings };
+    }
+    i = segments.length - 1;
   }
   
-  // 2. Try GTIN-14 padded version
-  const padded14 = digits14.padStart(14, '0');
-  if (idx.exact.has(padded14)) {
-    return { name: idx.exact.get(padded14), type: 'EXACT' };
+  while (i < segments.length) {
+    const ai = dlAI(segments[i]);
+    if (ai && i + 1 < segments.length) {
+      ais[ai] = segments[i + 1];
+      i += 2;
+    } else if (!ai && i === segments.length - 1) {
+      // Partially compressed: trailing segment after uncompressed keys
+      try {
+        Object.assign(ais, decompressDigitalLink(segments[i]));
+      } catch (e) {
+        errors.push({ pos: null, message: `Compressed Digital Link: ${e.message}` });
+      }
+      i++;
+    } else {
+      errors.push({ pos: null, message: `Unexpected path segment "${segments[i]}"` });
+      break;
+    }
   }
   
-  // 3. Try without leading zeros
-  const stripped = digits14.replace(/^0+/, '');
-  if (stripped && idx.exact.has(stripped)) {
-    return { name: idx.exact.get(stripped), type: 'EXACT' };
+  // Data attributes in the query string (?17=271231&10=ABC)
+  url.searchParams.forEach((value, key) => {
+    const ai = dlAI(key);
+    if (ai) ais[ai] = value;
+  });
+  
+  // Digital Link allows GTIN-8/12/13 in the path; element strings use 14 digits
+  if (ais['01'] && /^\d{8,13}$/.test(ais['01'])) {
+    ais['01'] = ais['01'].padStart(14, '0');
   }
   
-  // 4. Last-8 digits match (fuzzy)
-  if (digits14.length >= 8) {
-    const last8 = digits14.slice(-8);
-    if (idx.last8.has(last8)) {
-      const matches = idx.last8.get(last8);
-      if (matches.length === 1) {
-        return { name: matches[0].name, type: 'LAST8' };
-      }
-      if (matches.length > 1) {
-        return { name: matches[0].name, type: 'AMBIG' };
+  Object.entries(ais).forEach(([ai, value]) => {
+    const problem = checkAIValue(ai, value);
+    if (problem) errors.push({ pos: null, message: problem });
+  });
+  
+  return { ais, errors, warnings };
+}
+
+/**
+ * Decode a compressed Digital Link segment (URI-safe base64) into { ai: value }.
+ * Throws on data that does not follow the compression format.
+ */
+function decompressDigitalLink(segment) {
+  const bits = Array.from(segment, ch => {
+    const idx = DL_BASE64.indexOf(ch);
+    if (idx === -1) throw new Error(`invalid character "${ch}"`);
+    return idx.toString(2).padStart(6, '0');
+  }).join('');
+  
+  const ais = {};
+  let cursor = 0;
+  
+  const read = (n) => {
+    if (cursor + n > bits.length) throw new Error('data ends unexpectedly');
+    const chunk = bits.substring(cursor, cursor + n);
+    cursor += n;
+    return chunk;
+  };
+  const readInt = (n) => (n === 0 ? 0n : BigInt('0b' + read(n)));
+  const hex = (n) => parseInt(read(n), 2).toString(16).toUpperCase();
+  const lengthBits = (max) => Math.ceil(Math.log2(max) + 0.01);
+  const valueBits = (digits) => Math.ceil(digits * Math.log2(10) + 0.01);
+  
+  const readDigits = (count) => readInt(valueBits(count)).toString().padStart(count, '0');
+  
+  const readChars = (encoding, count) => {
+    const chars = (width, map) => Array.from({ length: count }, () => map(parseInt(read(width), 2))).join('');
+    switch (encoding) {
+      case 0: return readDigits(count);
+      case 1: return chars(4, v => v.toString(16));
+      case 2: return chars(4, v => v.toString(16).toUpperCase());
+      case 3: return chars(6, v => DL_BASE64[v]);
+      case 4: return chars(7, v => String.fromCharCode(v));
+      default: throw new Error(`unknown encoding ${encoding}`);
+    }
+  };
+  
+  const readValue = (ai) => {
+    const def = GS1_AI[ai];
+    const parts = def.parts || [def.min === def.max ? [def.type, def.max] : [def.type, 0, def.max]];
+    let value = '';
+    
+    for (const [type, length, max] of parts) {
+      if (type === 'N') {
+        const count = length || parseInt(read(lengthBits(max)), 2);
+        value += count ? readDigits(count) : '';
+      } else {
+        // Alphanumeric: 3-bit encoding indicator, then the length if variable
+        const encoding = parseInt(read(3), 2);
+        const count = length || parseInt(read(lengthBits(max)), 2);
+        value += readChars(encoding, count);
       }
     }
-  }
+    ais[ai] = value;
+  };
   
-  // 5. Try shorter matches for internal codes (5-11 digits)
-  if (digits14.length >= 5 && digits14.length <= 11) {
-    // Try with leading zeros added
-    for (let pad = digits14.length; pad <= 14; pad++) {
-      const paddedCode = digits14.padStart(pad, '0');
-      if (idx.exact.has(paddedCode)) {
-        return { name: idx.exact.get(paddedCode), type: 'EXACT' };
+  while (bits.length - cursor > 8) {
+    const h1h2 = hex(4) + hex(4);
+    
+    if (/^\d\d$/.test(h1h2)) {
+      let ai = h1h2;
+      while (!GS1_AI[ai] && ai.length < 4) {
+        ai += hex(4);
       }
+      if (!GS1_AI[ai]) throw new Error(`unsupported AI ${ai}`);
+      readValue(ai);
+    } else if (DL_OPTIMISATIONS[h1h2]) {
+      DL_OPTIMISATIONS[h1h2].forEach(readValue);
+    } else if (h1h2[0] === 'F') {
+      // Non-GS1 key=value pair: 7-bit key length overlapping h2, base64 key, value
+      cursor -= 4;
+      const keyLength = parseInt(read(7), 2);
+      read(6 * keyLength);
+      const encoding = parseInt(read(3), 2);
+      readChars(encoding, parseInt(read(7), 2));
+    } else {
+      throw new Error(`no optimisation for ${h1h2}`);
     }
   }
   
-  return { name: '', type: 'NONE' };
+  return ais;
 }
 
-function buildMasterIndex() {
-  const exact = new Map();
-  const last8 = new Map();
-  
-  State.masterData.forEach((name, barcode) => {
-    // Get digits only
-    const digits = String(barcode).replace(/\D/g, '');
-    
-    if (!digits) return;
-    
-    // Store original
-    exact.set(digits, name);
-    exact.set(barcode, name);
-    
-    // For GTIN-length codes (8/12/13/14), also store padded versions
-    if ([8, 12, 13, 14].includes(digits.length)) {
-      const g14 = digits.padStart(14, '0');
-      const g13 = g14.startsWith('0') ? g14.substring(1) : g14;
-      const g12 = g13.startsWith('0') ? g13.substring(1) : g13;
-      
-      exact.set(g14, name);
-      exact.set(g13, name);
-      exact.set(g12, name);
-      
-      // Last-8 index
-      const key = g14.slice(-8);
-      if (!last8.has(key)) last8.set(key, []);
-      last8.get(key).push({ barcode: digits, name });
-    } else if (digits.length >= 8) {
-      // For longer codes, still index last-8
-      const key = digits.slice(-8);
-      if (!last8.has(key)) last8.set(key, []);
-      last8.get(key).push({ barcode: digits, name });
-    }
-    
-    // Also store without leading zeros
-    const stripped = digits.replace(/^0+/, '');
-    if (stripped && stripped !== digits) {
-      exact.set(stripped, name);
-    }
+// ============================================
+// SCANNER INPUT NORMALISATION
+// AIM symbology identifiers (]d2, ]C1, ]Q3...) and
+// FNC1 substitutes emitted by scanners
+// ============================================
+const SYMBOLOGY_IDS = {
+  ']d1': { name: 'Data Matrix', gs1: false },
+  ']d2': { name: 'GS1 DataMatrix', gs1: true },
+  ']C0': { name: 'Code 128', gs1: false },
+  ']C1': { name: 'GS1-128', gs1: true },
+  ']Q1': { name: 'QR Code', gs1: false },
+  ']Q3': { name: 'GS1 QR Code', gs1: true },
+  ']e0': { name: 'GS1 DataBar', gs1: true },
+  ']E0': { name: 'EAN-13 / UPC-A', gs1: true },
+  ']E3': { name: 'EAN-13 with add-on', gs1: true },
+  ']E4': { name: 'EAN-8', gs1: true },
+  ']I0': { name: 'Interleaved 2 of 5', gs1: false },
+  ']I1': { name: 'ITF-14', gs1: true },
+  ']J1': { name: 'GS1 DotCode', gs1: true },
+  ']A0': { name: 'Code 39', gs1: false },
+  ']G0': { name: 'Code 93', gs1: false }
+};
+
+// Camera decoder format names (html5-qrcode) for the same purpose
+const CAMERA_FORMATS = {
+  DATA_MATRIX: 'Data Matrix',
+  QR_CODE: 'QR Code',
+  CODE_128: 'Code 128',
+  CODE_39: 'Code 39',
+  CODE_93: 'Code 93',
+  EAN_13: 'EAN-13 / UPC-A',
+  EAN_8: 'EAN-8',
+  UPC_A: 'EAN-13 / UPC-A',
+  UPC_E: 'UPC-E',
+  ITF: 'Interleaved 2 of 5'
+};
+
+/**
+ * Strip and record a symbology identifier, and turn the configured
+ * group separator substitutes (e.g. '|', '~', '<GS>') back into FNC1.
+ */
+function normalizeScanInput(raw) {
+  let code = String(raw || '').trim();
+  let symbology = null;
+  
+  const prefix = code.substring(0, 3);
+  if (/^\][A-Za-z][0-9A-Za-z]$/.test(prefix)) {
+    symbology = { id: prefix, ...(SYMBOLOGY_IDS[prefix] || { name: `Symbology ${prefix}`, gs1: false }) };
+    code = code.substring(3);
+  }
+  
+  State.gsSubstitutes.forEach(sub => {
+    if (sub) code = code.split(sub).join(GS);
   });
   
-  State.masterIndex = { exact, last8 };
-  console.log(`📦 Master index built: ${exact.size} exact entries, ${last8.size} last-8 entries`);
+  // A leading FNC1 only marks the data as GS1
+  code = code.replace(/^\x1d+/, '');
+  
+  return { code, symbology };
 }
 
 // ============================================
-// API PRODUCT LOOKUP (MEDICINE-FOCUSED)
-// Priority: OpenFDA → DailyMed → RxNorm → OpenFoodFacts
-// All APIs are FREE and reliable for pharmaceutical data
+// HIBC PARSING (Health Industry Bar Code)
+// Primary:   +LIC(4) PCN(1-18) UoM(1) Check
+// Secondary: +$$3YYMMDDLOT Link Check, +$LOT, +YYJJJLOT...
+// Concatenated: +Primary/Secondary Check
 // ============================================
-async function lookupProductAPI(gtin) {
-  if (!State.apiLookupEnabled || !navigator.onLine) {
-    return null;
+const HIBC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+// Modulo 43 check character over everything before it, '+' included
+function hibcCheckChar(data) {
+  let sum = 0;
+  for (const ch of data) {
+    const value = HIBC_CHARSET.indexOf(ch);
+    if (value === -1) return null;
+    sum += value;
   }
-  
-  // Prepare different barcode formats
-  const gtin14 = gtin.padStart(14, '0');
-  const gtin13 = gtin14.startsWith('0') ? gtin14.substring(1) : gtin14;
-  const gtin12 = gtin13.startsWith('0') ? gtin13.substring(1) : gtin13;
-  
-  // Extract NDC from GTIN (US drugs)
-  // NDC is typically: 5-4-2 or 5-3-2 format within the GTIN
-  const ndc11 = extractNDCFromGTIN(gtin14);
-  
-  console.log(`🔍 API Lookup: GTIN=${gtin}, NDC=${ndc11}`);
-  
-  // 1. Try OpenFDA first (best for US prescription drugs)
-  try {
-    const fdaResult = await lookupOpenFDA(gtin14, ndc11);
-    if (fdaResult) {
-      console.log('✅ Found in OpenFDA:', fdaResult.name);
-      return fdaResult;
-    }
-  } catch (e) {
-    console.log('OpenFDA lookup failed:', e.message);
+  return HIBC_CHARSET[sum % 43];
+}
+
+function isHIBC(code) {
+  return /^\+[A-Z0-9$]/.test(code);
+}
+
+// Julian YYJJJ -> YYMMDD
+function julianToYYMMDD(yy, jjj) {
+  const date = new Date(gs1Year(yy), 0, parseInt(jjj));
+  return `${yy}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Read a "$$" / "$+" secondary field: optional quantity, expiry in one
+ * of the HIBC date formats, then the lot or serial number.
+ * Returns { expiry: 'YYMMDD' | '', qty, value }.
+ */
+function parseHIBCDateField(data) {
+  const out = { expiry: '', qty: null, value: '' };
+  let s = data;
+  
+  // Quantity: '8' + 2 digits, '9' + 5 digits, then a date format flag
+  if (s[0] === '8') {
+    out.qty = parseInt(s.substring(1, 3));
+    s = s.substring(3);
+  } else if (s[0] === '9') {
+    out.qty = parseInt(s.substring(1, 6));
+    s = s.substring(6);
   }
   
-  // 2. Try DailyMed (FDA drug labels)
-  try {
-    const dailymedResult = await lookupDailyMed(ndc11);
-    if (dailymedResult) {
-      console.log('✅ Found in DailyMed:', dailymedResult.name);
-      return dailymedResult;
-    }
-  } catch (e) {
-    console.log('DailyMed lookup failed:', e.message);
+  const flag = s[0];
+  if (flag === '0' || flag === '1') {
+    // MMYY (the flag is the first month digit); day 00 = end of month
+    out.expiry = `${s.substring(2, 4)}${s.substring(0, 2)}00`;
+    out.value = s.substring(4);
+  } else if (flag === '2') {
+    // MMDDYY
+    out.expiry = `${s.substring(5, 7)}${s.substring(1, 3)}${s.substring(3, 5)}`;
+    out.value = s.substring(7);
+  } else if (flag === '3') {
+    out.expiry = s.substring(1, 7);
+    out.value = s.substring(7);
+  } else if (flag === '4') {
+    // YYMMDDHH
+    out.expiry = s.substring(1, 7);
+    out.value = s.substring(9);
+  } else if (flag === '5') {
+    out.expiry = julianToYYMMDD(s.substring(1, 3), s.substring(3, 6));
+    out.value = s.substring(6);
+  } else if (flag === '6') {
+    // YYJJJHH
+    out.expiry = julianToYYMMDD(s.substring(1, 3), s.substring(3, 6));
+    out.value = s.substring(8);
+  } else if (flag === '7') {
+    out.value = s.substring(1);
+  } else {
+    out.value = s;
   }
   
-  // 3. Try Open Food Facts (for OTC, supplements, healthcare products)
-  try {
-    const offResult = await lookupOpenFoodFacts(gtin13);
-    if (offResult) {
-      console.log('✅ Found in OpenFoodFacts:', offResult.name);
-      return offResult;
-    }
-  } catch (e) {
-    console.log('Open Food Facts lookup failed:', e.message);
+  if (out.expiry && !/^\d{6}$/.test(out.expiry)) out.expiry = '';
+  return out;
+}
+
+function parseHIBCSecondary(data, hibc) {
+  // Supplemental data identifiers after '/': S serial, 14D expiry, 16D manufacture
+  const [main, ...supplements] = data.split('/');
+  
+  if (main.startsWith('$$')) {
+    const field = parseHIBCDateField(main.substring(2));
+    hibc.expiry = field.expiry;
+    hibc.qty = field.qty;
+    hibc.lot = field.value;
+  } else if (main.startsWith('$+')) {
+    const field = parseHIBCDateField(main.substring(2));
+    hibc.expiry = field.expiry;
+    hibc.qty = field.qty;
+    hibc.serial = field.value;
+  } else if (main.startsWith('$')) {
+    hibc.lot = main.substring(1);
+  } else if (/^\d{5}/.test(main)) {
+    // Legacy format: Julian expiry YYJJJ followed by the lot
+    hibc.expiry = julianToYYMMDD(main.substring(0, 2), main.substring(2, 5));
+    hibc.lot = main.substring(5);
+  } else {
+    hibc.errors.push({ pos: null, message: 'Unrecognised HIBC secondary data' });
   }
   
-  console.log('❌ No API match found for:', gtin);
-  return null;
+  supplements.forEach(sup => {
+    if (sup.startsWith('14D')) {
+      hibc.expiry = sup.substring(5, 11);
+    } else if (sup.startsWith('16D')) {
+      hibc.manufactured = sup.substring(5, 11);
+    } else if (sup.startsWith('S')) {
+      hibc.serial = sup.substring(1);
+    }
+  });
 }
 
-// Extract NDC from GTIN-14
-// US pharmaceutical GTINs typically encode NDC in positions 4-13
-function extractNDCFromGTIN(gtin14) {
-  // Remove leading zeros and indicator digit
-  // GTIN-14: [1 indicator][13 UPC/EAN]
-  // UPC-A: 0 + NDC-11 + check digit
-  // So NDC is in positions 2-12 of GTIN-14
+function parseHIBC(raw) {
+  const code = raw.toUpperCase();
+  const hibc = {
+    lic: '', pcn: '', uom: '', productId: '',
+    lot: '', serial: '', expiry: '', manufactured: '', qty: null,
+    linkChar: '', secondaryOnly: false, checkValid: false, errors: []
+  };
   
-  if (!gtin14 || gtin14.length < 14) return null;
+  if (!isHIBC(code) || code.length < 3) {
+    hibc.errors.push({ pos: 0, message: 'Not a HIBC code' });
+    return hibc;
+  }
   
-  // Try different NDC extractions
-  const possible11 = gtin14.substring(2, 13); // positions 2-12
-  const possible10 = gtin14.substring(3, 13); // positions 3-12
+  const check = code[code.length - 1];
+  const body = code.slice(0, -1);
+  hibc.checkValid = hibcCheckChar(body) === check;
+  if (!hibc.checkValid) {
+    hibc.errors.push({
+      pos: code.length - 1,
+      message: `HIBC check character is "${check}", expected "${hibcCheckChar(body)}"`
+    });
+  }
   
-  // NDC-11 format: 5-4-2 (most common for US drugs)
-  return possible11;
-}
-
-// OpenFDA Drug API - FREE, no API key required
-// Best for US prescription drugs, OTC drugs
-async function lookupOpenFDA(gtin14, ndc11) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 8000);
+  const data = body.substring(1);
   
-  try {
-    // Try searching by package NDC
-    let searchTerm = '';
-    if (ndc11) {
-      // Format NDC for search (try different formats)
-      const ndcDashed = formatNDC(ndc11);
-      searchTerm = `packaging.package_ndc:"${ndcDashed}"`;
-    }
-    
-    // Also try by GTIN directly (some entries have it)
-    const gtinSearch = `openfda.package_ndc:"${gtin14}"`;
-    
-    const url = `${CONFIG.API.OPEN_FDA}?search=${encodeURIComponent(searchTerm)}&limit=1`;
-    
-    const response = await fetch(url, { 
-      signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
-    });
-    
-    clearTimeout(timeoutId);
+  if (/^[A-Z]/.test(data)) {
+    // Primary (optionally concatenated with secondary after '/')
+    const slash = data.indexOf('/');
+    const primary = slash === -1 ? data : data.substring(0, slash);
     
-    if (!response.ok) {
-      // Try alternative search
-      return await lookupOpenFDAByBrandName(gtin14);
+    if (!/^[A-Z][A-Z0-9]{3}[A-Z0-9]{1,18}\d$/.test(primary)) {
+      hibc.errors.push({ pos: 1, message: 'HIBC primary data is malformed' });
+      return hibc;
     }
+    hibc.lic = primary.substring(0, 4);
+    hibc.pcn = primary.substring(4, primary.length - 1);
+    hibc.uom = primary.slice(-1);
+    hibc.productId = `+${primary}`;
     
-    const data = await response.json();
-    
-    if (data.results && data.results.length > 0) {
-      const drug = data.results[0];
-      
-      // Build drug name from available fields
-      let name = '';
-      
-      if (drug.brand_name) {
-        name = drug.brand_name;
-      } else if (drug.generic_name) {
-        name = drug.generic_name;
-      } else if (drug.openfda && drug.openfda.brand_name) {
-        name = Array.isArray(drug.openfda.brand_name) 
-          ? drug.openfda.brand_name[0] 
-          : drug.openfda.brand_name;
-      }
-      
-      // Add strength if available
-      if (drug.active_ingredients && drug.active_ingredients.length > 0) {
-        const strength = drug.active_ingredients[0].strength;
-        if (strength && !name.includes(strength)) {
-          name += ` ${strength}`;
-        }
-      }
-      
-      // Add dosage form
-      if (drug.dosage_form && !name.toLowerCase().includes(drug.dosage_form.toLowerCase())) {
-        name += ` ${drug.dosage_form}`;
-      }
-      
-      if (name) {
-        return {
-          name: name.trim(),
-          brand: drug.labeler_name || '',
-          source: 'OpenFDA',
-          ndc: drug.product_ndc || ndc11
-        };
-      }
+    if (slash !== -1) {
+      parseHIBCSecondary(data.substring(slash + 1), hibc);
     }
-    
-    return null;
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name !== 'AbortError') throw e;
-    return null;
+  } else {
+    // Standalone secondary: data, link character (primary check), check
+    hibc.secondaryOnly = true;
+    hibc.linkChar = data.slice(-1);
+    parseHIBCSecondary(data.slice(0, -1), hibc);
   }
+  
+  return hibc;
 }
 
-// Fallback OpenFDA search
-async function lookupOpenFDAByBrandName(gtin) {
-  // This is a fallback - not as reliable
-  return null;
-}
-
-// Format NDC to dashed format (5-4-2 or 5-3-2)
-function formatNDC(ndc11) {
-  if (!ndc11 || ndc11.length < 10) return ndc11;
+// ============================================
+// GS1 BARCODE PARSING
+// Supports: 5-21 digit codes, GS1-128, DataMatrix
+// ============================================
+function parseGS1(raw) {
+  const result = {
+    valid: false,
+    raw: raw,
+    ais: {},
+    gtin14: '',
+    gtin13: '',
+    expiry: '',
+    expiryDDMMYY: '',
+    expiryFormatted: '',
+    expiryMonthOnly: false,
+    expiryStatus: 'missing',
+    dates: {},        // { ai: parseExpiryDate() } for 11, 13, 15, 17, 7003
+    measures: {},     // { ai: { title, value, currency } } for 310n-369n, 390n-395n
+    batch: '',
+    serial: '',
+    qty: 1,
+    rms: '',
+    gtinInfo: null,
+    symbology: null,
+    scheme: 'GS1',
+    hibc: null,
+    code: '',         // Input after symbology/FNC1 clean-up; diagnostic positions refer to it
+    errors: [],       // [{ pos, message }]
+    warnings: []
+  };
   
-  // Standard 5-4-2 format
-  if (ndc11.length === 11) {
-    return `${ndc11.substring(0,5)}-${ndc11.substring(5,9)}-${ndc11.substring(9,11)}`;
+  if (!raw || typeof raw !== 'string') {
+    result.errors.push({ pos: null, message: 'Empty barcode' });
+    return result;
   }
   
-  // 10-digit NDC
-  if (ndc11.length === 10) {
-    return `${ndc11.substring(0,5)}-${ndc11.substring(5,8)}-${ndc11.substring(8,10)}`;
+  const input = normalizeScanInput(raw);
+  const code = input.code;
+  result.code = code;
+  result.symbology = input.symbology;
+  
+  if (input.symbology && !input.symbology.gs1 && /^\d{2}/.test(code) && code.length > 14) {
+    result.warnings.push({ pos: 0, message: `${input.symbology.name} is not a GS1 symbology` });
   }
   
-  return ndc11;
-}
-
-// DailyMed API - FREE, FDA drug labels
-async function lookupDailyMed(ndc) {
-  if (!ndc) return null;
+  // Handle plain numeric codes (5-21 digits) without AI
+  // A raw GS1 string starting with (01) + 14 digits is parsed below
+  if (/^\d{5,21}$/.test(code) && !(code.startsWith('01') && code.length >= 16)) {
+    result.gtin14 = code.length <= 14 ? code.padStart(14, '0') : code;
+    result.gtin13 = code.length <= 13 ? code : code.substring(0, 13);
+    result.gtinInfo = GTIN.normalize(code);
+    addGtinDiagnostics(result, code.length - 1);
+    result.valid = !result.gtinInfo || result.gtinInfo.valid;
+    return result;
+  }
   
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 8000);
+  if (isHIBC(code)) {
+    return applyHIBC(result, parseHIBC(code));
+  }
   
-  try {
-    // Search by NDC
-    const url = `${CONFIG.API.DAILYMED}?ndc=${formatNDC(ndc)}`;
-    
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
+  let split;
+  if (isDigitalLink(code)) {
+    split = parseDigitalLink(code);
+  } else if (code.includes('(')) {
+    split = splitParenthesized(code);
+  } else if (/^\d{2}/.test(code)) {
+    split = splitElementString(code);
+  } else {
+    result.errors.push({ pos: 0, message: 'Not a GS1 barcode: no Application Identifier found' });
+    return result;
+  }
+  
+  const ais = split.ais;
+  result.ais = ais;
+  result.errors.push(...split.errors);
+  result.warnings.push(...split.warnings);
+  
+  // Weights, measures and prices with their implied decimal point
+  Object.entries(ais).forEach(([ai, value]) => {
+    const amount = GS1_AI[ai]?.decimal && /^\d+$/.test(value) ? gs1DecimalValue(ai, value) : null;
+    if (amount === null) return;
+    result.measures[ai] = {
+      title: GS1_AI[ai].title,
+      value: amount,
+      currency: GS1_AI[ai].currency ? value.substring(0, 3) : ''
+    };
+  });
+  
+  // GTIN (AI 01)
+  if (ais['01']) {
+    result.gtin14 = ais['01'].padStart(14, '0');
+    result.gtin13 = result.gtin14.startsWith('0') ? result.gtin14.substring(1) : result.gtin14;
+    result.gtinInfo = GTIN.normalize(result.gtin14);
+    addGtinDiagnostics(result, null);
+    result.valid = !result.gtinInfo || result.gtinInfo.valid;
     
-    if (data.data && data.data.length > 0) {
-      const spl = data.data[0];
-      
-      let name = spl.title || spl.name || '';
-      
-      // Clean up the name (DailyMed titles can be verbose)
-      if (name.length > 100) {
-        name = name.substring(0, 100).trim();
-      }
-      
-      if (name) {
-        return {
-          name: name,
-          brand: spl.labeler || '',
-          source: 'DailyMed',
-          ndc: ndc
-        };
-      }
+    if (!ais['17']) {
+      result.warnings.push({ pos: null, message: 'No expiry date (17)' });
     }
-    
-    return null;
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name !== 'AbortError') throw e;
-    return null;
+  } else if (ais['00']) {
+    result.errors.push({ pos: null, message: 'SSCC (00) logistic label, not a product barcode' });
+  } else if (!split.errors.length) {
+    result.errors.push({ pos: null, message: 'No GTIN (01) in barcode' });
   }
+  
+  // Dates: production (11), packaging (13), best before (15), expiry (17, 7003)
+  // An impossible date (month 13, 30 February) makes the scan invalid:
+  // saved without it, the pack would count as stock with no expiry
+  GS1_DATE_AIS.forEach(ai => {
+    const date = ais[ai] ? parseExpiryDate(ais[ai], ai) : null;
+    if (date) result.dates[ai] = date;
+    else if (ais[ai]) result.valid = false;
+  });
+  
+  const expiry = result.dates['17'] || result.dates['7003'];
+  if (expiry) applyExpiry(result, expiry);
+  
+  // Batch/Lot (AI 10)
+  if (ais['10']) result.batch = ais['10'].trim();
+  
+  // Serial Number (AI 21)
+  if (ais['21']) result.serial = ais['21'].trim();
+  
+  // Quantity (AI 30)
+  if (ais['30']) result.qty = parseInt(ais['30']) || 1;
+  
+  // Which of two different values is right can't be known
+  if (result.errors.some(e => e.conflict)) result.valid = false;
+  
+  return result;
 }
 
-// Open Food Facts - for OTC, supplements, healthcare products
-async function lookupOpenFoodFacts(barcode) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 6000);
-  
-  try {
-    const response = await fetch(
-      `${CONFIG.API.OPEN_FOOD_FACTS}${barcode}.json`,
-      { 
-        signal: controller.signal,
-        headers: { 'User-Agent': 'OasisPharmacy/2.0' }
-      }
-    );
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    
-    if (data.status === 1 && data.product) {
-      const product = data.product;
-      
-      // Check if it's a health/medicine product
-      const categories = (product.categories || '').toLowerCase();
-      const isHealthProduct = 
-        categories.includes('health') ||
-        categories.includes('medicine') ||
-        categories.includes('pharmaceutical') ||
-        categories.includes('supplement') ||
-        categories.includes('vitamin') ||
-        categories.includes('drug') ||
-        categories.includes('otc');
-      
-      const name = product.product_name || 
-                   product.product_name_en || 
-                   product.generic_name ||
-                   null;
-      
-      if (name) {
-        return {
-          name: name,
-          brand: product.brands || '',
-          source: 'OpenFoodFacts',
-          isHealthProduct: isHealthProduct
-        };
-      }
+function applyExpiry(result, expiry) {
+  result.expiry = expiry.iso;
+  result.expiryDDMMYY = expiry.ddmmyy;
+  result.expiryFormatted = expiry.formatted;
+  result.expiryMonthOnly = expiry.monthOnly;
+  result.expiryStatus = calculateExpiryStatus(expiry.iso);
+}
+
+// Turn the GTIN check result into diagnostics
+function addGtinDiagnostics(result, pos) {
+  const info = result.gtinInfo;
+  if (!info) return;
+  if (!info.valid) result.errors.push({ pos, message: info.reason });
+  if (info.warning) result.warnings.push({ pos: null, message: info.warning });
+}
+
+// "Char 17: AI (17) ..." for display and reports
+function formatParseIssue(issue) {
+  return issue.pos === null || issue.pos === undefined
+    ? issue.message
+    : `Char ${issue.pos + 1}: ${issue.message}`;
+}
+
+// Fill the common scan result from parsed HIBC data
+function applyHIBC(result, hibc) {
+  result.scheme = 'HIBC';
+  result.hibc = hibc;
+  result.gtin14 = hibc.productId;
+  result.gtin13 = hibc.productId;
+  result.batch = hibc.lot.trim();
+  result.serial = hibc.serial.trim();
+  if (hibc.qty) result.qty = hibc.qty;
+  
+  if (hibc.expiry) {
+    const expiry = parseExpiryDate(hibc.expiry);
+    if (expiry) {
+      applyExpiry(result, expiry);
+    } else {
+      result.errors.push({ pos: null, message: `HIBC expiry ${hibc.expiry} is not a real date` });
     }
-    
-    return null;
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name !== 'AbortError') throw e;
-    return null;
   }
+  
+  result.errors.push(...hibc.errors);
+  if (hibc.secondaryOnly) {
+    result.warnings.push({ pos: null, message: 'HIBC secondary only: scan it right after its primary' });
+  }
+  
+  result.valid = hibc.checkValid && !!hibc.productId;
+  return result;
+}
+
+// 'missing', 'expired', the id of the first tier the date falls in, or 'ok'
+function calculateExpiryStatus(isoDate, tiers = State.expiryTiers) {
+  if (!isoDate) return 'missing';
+  
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const expiry = parseLocalDate(isoDate);
+  
+  // Round: days around a clock change are 23 or 25 hours long
+  const diffDays = Math.round((expiry - today) / (1000 * 60 * 60 * 24));
+  
+  if (diffDays < 0) return 'expired';
+  return tiers.find(t => diffDays <= t.days)?.id || 'ok';
+}
+
+// Rows never store a status: it changes with the date, not the row
+function expiryStatusOf(entry) {
+  return calculateExpiryStatus(entry.expiry, expiryTiersFor(entry.gtin14));
 }
 
 // ============================================
-// CAMERA SCANNING (Cross-Browser Compatible)
-// Using html5-qrcode library for maximum compatibility
+// EXPIRY TIERS
+// User-defined bands ("under 1 month", "under 3 months"...), each
+// with its own colour and filter chip. A product or a master-data
+// category (fridge lines, short-life items) can have its own days.
 // ============================================
+const EXPIRY_STATUS_LABELS = { expired: 'Expired', ok: 'OK', missing: 'No expiry' };
 
-let html5QrCode = null;
-let availableCameras = [];
-let currentCameraIndex = 0;
+function expiryStatusLabel(status) {
+  return State.expiryTiers.find(t => t.id === status)?.label || EXPIRY_STATUS_LABELS[status] || status;
+}
 
-// Initialize scanner
-async function initScanner() {
-  // Check if library is loaded
-  if (typeof Html5Qrcode === 'undefined') {
-    console.error('Html5Qrcode library not loaded');
-    document.getElementById('browserSupportInfo').style.display = 'block';
-    return false;
+// Master barcodes of GTIN length are keyed as GTIN-14, like scans
+function masterKey(barcode) {
+  const code = String(barcode);
+  return /^\d+$/.test(code) && GTIN.LENGTHS.includes(code.length) ? code.padStart(14, '0') : code;
+}
+
+function productCategory(gtin14) {
+  return State.masterCategories.get(gtin14) || '';
+}
+
+// Tiers for one product: a product override beats a category one
+function expiryTiersFor(gtin14) {
+  const overrides = State.expiryOverrides;
+  if (!overrides.length) return State.expiryTiers;
+  
+  const category = productCategory(gtin14).toLowerCase();
+  const override = overrides.find(o => o.kind === 'product' && o.key === gtin14) ||
+    (category && overrides.find(o => o.kind === 'category' && o.key.toLowerCase() === category));
+  if (!override) return State.expiryTiers;
+  
+  return State.expiryTiers
+    .map(t => ({ ...t, days: override.days[t.id] ?? t.days }))
+    .sort((a, b) => a.days - b.days);
+}
+
+// Tier colours for every place a status shows
+function renderExpiryTierStyles() {
+  let style = document.getElementById('expiryTierStyles');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'expiryTierStyles';
+    document.head.appendChild(style);
   }
+  style.textContent = State.expiryTiers.map(({ id, color }) => `
+    .recent-item-icon.${id}, .badge-${id}, .result-expiry.${id} { background: ${color}1f; color: ${color}; }
+    .history-item-expiry.${id} { color: ${color}; }
+    .detail-batch.${id} { border-left-color: ${color}; }
+    .filter-tab[data-filter="${id}"]::before { background: ${color}; }`).join('');
+}
+
+// All / Expired / one chip per tier / OK, ahead of the Select button
+function renderStatusFilters() {
+  const container = document.getElementById('statusFilters');
+  if (!container) return;
   
-  try {
-    // Get available cameras
-    availableCameras = await Html5Qrcode.getCameras();
-    console.log('Available cameras:', availableCameras);
+  const statuses = ['all', 'expired', ...State.expiryTiers.map(t => t.id), 'ok'];
+  if (!statuses.includes(State.activeFilter)) State.activeFilter = 'all';
+  
+  container.querySelectorAll('.filter-tab[data-filter]').forEach(el => el.remove());
+  const selectButton = document.getElementById('btnSelectMode');
+  statuses.forEach(status => {
+    const tab = document.createElement('button');
+    tab.className = `filter-tab${status === 'all' ? '' : ' status-tab'}${status === State.activeFilter ? ' active' : ''}`;
+    tab.dataset.filter = status;
+    tab.textContent = status === 'all' ? 'All' : expiryStatusLabel(status);
+    container.insertBefore(tab, selectButton);
+  });
+}
+
+// After the tiers change (or load): colours, chips and every list
+function applyExpiryTiers() {
+  renderExpiryTierStyles();
+  filterHistory();
+  renderRecentScans();
+  renderTrash();
+}
+
+function openTiersModal() {
+  State.tierDraft = {
+    tiers: State.expiryTiers.map(t => ({ ...t })),
+    overrides: State.expiryOverrides.map(o => ({ ...o, days: { ...o.days } }))
+  };
+  
+  const categories = document.getElementById('categoryOptions');
+  if (categories) {
+    categories.textContent = '';
+    new Set(State.masterCategories.values()).forEach(c => categories.appendChild(new Option(c)));
+  }
+  
+  renderTiersEditor();
+  document.getElementById('tiersModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeTiersModal() {
+  document.getElementById('tiersModal')?.classList.remove('active');
+  State.tierDraft = null;
+}
+
+// Inputs write straight into the draft; adding or removing redraws
+function renderTiersEditor() {
+  const draft = State.tierDraft;
+  const tierList = document.getElementById('tierList');
+  const overrideList = document.getElementById('overrideList');
+  if (!draft || !tierList || !overrideList) return;
+  
+  const input = (type, value, onInput, props = {}) => {
+    const el = document.createElement('input');
+    el.type = type;
+    el.className = 'form-input';
+    el.value = value ?? '';
+    Object.assign(el, props);
+    el.addEventListener('input', () => onInput(el.value));
+    return el;
+  };
+  const removeButton = (onClick) => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = 'Remove';
+    button.addEventListener('click', () => {
+      onClick();
+      renderTiersEditor();
+    });
+    return button;
+  };
+  
+  tierList.textContent = '';
+  draft.tiers.forEach((tier, i) => {
+    const li = document.createElement('li');
+    li.className = 'tier-row';
+    li.append(
+      input('text', tier.label, v => { tier.label = v; }, { placeholder: 'Name', className: 'form-input tier-name' }),
+      input('number', tier.days, v => { tier.days = v; }, { min: 1, max: 3650, title: 'Days or fewer to expiry' }),
+      input('color', tier.color, v => { tier.color = v; }, { className: 'form-input tier-color' }),
+      removeButton(() => draft.tiers.splice(i, 1))
+    );
+    tierList.appendChild(li);
+  });
+  
+  overrideList.textContent = '';
+  draft.overrides.forEach((override, i) => {
+    const li = document.createElement('li');
+    li.className = 'tier-row override-row';
     
-    if (availableCameras.length === 0) {
-      showToast('No cameras found on this device', 'warning');
-      document.getElementById('browserSupportInfo').style.display = 'block';
-      return false;
-    }
+    const kind = document.createElement('select');
+    kind.className = 'form-input';
+    kind.add(new Option('Product', 'product', false, override.kind === 'product'));
+    kind.add(new Option('Category', 'category', false, override.kind === 'category'));
+    kind.addEventListener('change', () => { override.kind = kind.value; renderTiersEditor(); });
     
-    // Prefer back camera
-    currentCameraIndex = 0;
-    for (let i = 0; i < availableCameras.length; i++) {
-      const label = availableCameras[i].label.toLowerCase();
-      if (label.includes('back') || label.includes('rear') || label.includes('environment')) {
-        currentCameraIndex = i;
-        break;
-      }
-    }
+    const key = input('text', override.key, v => { override.key = v; }, {
+      placeholder: override.kind === 'product' ? 'GTIN' : 'Category',
+      className: 'form-input tier-name'
+    });
+    if (override.kind === 'category') key.setAttribute('list', 'categoryOptions');
     
-    return true;
-  } catch (err) {
-    console.error('Camera init error:', err);
+    const days = document.createElement('div');
+    days.className = 'override-days';
+    draft.tiers.forEach(tier => {
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.className = 'result-label';
+      name.textContent = tier.label || 'Tier';
+      label.append(name, input('number', override.days[tier.id], v => {
+        if (v === '') delete override.days[tier.id];
+        else override.days[tier.id] = v;
+      }, { min: 1, max: 3650, placeholder: tier.days }));
+      days.appendChild(label);
+    });
     
-    if (err.name === 'NotAllowedError') {
-      showToast('Camera permission denied. Please allow camera access in browser settings.', 'error');
-    } else {
-      showToast('Could not access cameras: ' + (err.message || err), 'error');
-    }
+    li.append(kind, key, removeButton(() => draft.overrides.splice(i, 1)), days);
+    overrideList.appendChild(li);
+  });
+}
+
+function addExpiryTier() {
+  const draft = State.tierDraft;
+  if (!draft) return;
+  const longest = Math.max(0, ...draft.tiers.map(t => parseInt(t.days) || 0));
+  draft.tiers.push({ id: `tier-${Date.now().toString(36)}`, label: '', days: longest + 30, color: '#1e88e5' });
+  renderTiersEditor();
+}
+
+function addExpiryOverride() {
+  const draft = State.tierDraft;
+  if (!draft) return;
+  draft.overrides.push({ kind: 'category', key: '', days: {} });
+  renderTiersEditor();
+}
+
+// Clean the draft up; returns an error message instead when it won't do
+// (also used on restored backups: ids and colours end up in CSS)
+function validateTierDraft(draft) {
+  if (!Array.isArray(draft.tiers) || !Array.isArray(draft.overrides)) return 'Tiers and overrides must be lists';
+  if ([...draft.tiers, ...draft.overrides].some(x => !x || typeof x !== 'object')) return 'Malformed tier or override';
+  
+  const tiers = draft.tiers
+    .map(t => ({ id: String(t.id), label: String(t.label ?? '').trim(), days: parseInt(t.days), color: String(t.color) }))
+    .sort((a, b) => a.days - b.days);
+  const reserved = ['all', 'expired', 'ok', 'missing'];
+  if (tiers.some(t => !/^[a-z][a-z0-9-]*$/.test(t.id) || reserved.includes(t.id))) return 'Malformed tier id';
+  if (new Set(tiers.map(t => t.id)).size !== tiers.length) return 'Two tiers have the same id';
+  if (tiers.some(t => !t.label || !(t.days >= 1 && t.days <= 3650))) return 'Each tier needs a name and 1-3650 days';
+  if (new Set(tiers.map(t => t.days)).size !== tiers.length) return 'Two tiers have the same days';
+  if (tiers.some(t => !/^#[0-9a-f]{6}$/i.test(t.color))) return 'Pick a colour for each tier';
+  
+  const overrides = [];
+  for (const o of draft.overrides) {
+    let key = String(o.key ?? '').trim();
+    if (!key) continue;
+    if (!['product', 'category'].includes(o.kind)) return `Override for ${key} is neither product nor category`;
+    if (o.kind === 'product') key = masterKey(GTIN.normalize(key)?.gtin14 || normalizeMasterBarcode(key));
     
-    document.getElementById('browserSupportInfo').style.display = 'block';
-    return false;
+    const days = {};
+    for (const t of tiers) {
+      const value = parseInt(o.days?.[t.id]);
+      if (!isNaN(value)) days[t.id] = value;
+    }
+    if (Object.values(days).some(d => !(d >= 1 && d <= 3650))) return `Override days for ${key} must be 1-3650`;
+    if (!Object.keys(days).length) return `Override for ${key} needs days for at least one tier`;
+    if (overrides.some(x => x.kind === o.kind && x.key.toLowerCase() === key.toLowerCase())) return `${key} has two overrides`;
+    overrides.push({ kind: o.kind, key, days });
   }
+  
+  return { tiers, overrides };
 }
 
-async function startScanning() {
-  // Stop if already scanning
-  if (State.scanning) {
-    await stopScanning();
+async function saveExpiryTiers() {
+  if (!State.tierDraft) return;
+  
+  const result = validateTierDraft(State.tierDraft);
+  if (typeof result === 'string') {
+    Haptic.error();
+    showToast(result, 'warning');
     return;
   }
   
-  // Check library
-  if (typeof Html5Qrcode === 'undefined') {
-    showToast('Scanner library not loaded. Try refreshing the page.', 'error');
-    return;
+  const before = { tiers: State.expiryTiers, overrides: State.expiryOverrides };
+  State.expiryTiers = result.tiers;
+  State.expiryOverrides = result.overrides;
+  await saveSetting('expiryTiers', State.expiryTiers);
+  await saveSetting('expiryOverrides', State.expiryOverrides);
+  await audit('expiry-tiers', {
+    summary: State.expiryTiers.map(t => `${t.label} ≤${t.days}d`).join(', ') +
+      (State.expiryOverrides.length ? `; ${State.expiryOverrides.length} override(s)` : ''),
+    before,
+    after: result
+  });
+  
+  applyExpiryTiers();
+  closeTiersModal();
+  Haptic.success();
+  showToast('Expiry tiers saved', 'success');
+}
+
+// ============================================
+// PRODUCT MATCHING (Local Master)
+// Supports ALL barcode types: 5-21 digits
+// Matching priority: Exact → GTIN variations → Last8
+// ============================================
+function matchProduct(gtin14, gtin13) {
+  const idx = State.masterIndex;
+  
+  // HIBC product IDs are alphanumeric: exact match only
+  if (String(gtin14).startsWith('+')) {
+    return idx.exact.has(gtin14)
+      ? { name: idx.exact.get(gtin14), type: 'EXACT' }
+      : { name: '', type: 'NONE' };
   }
   
-  try {
-    // Initialize cameras if not done
-    if (availableCameras.length === 0) {
-      const success = await initScanner();
-      if (!success) return;
-    }
-    
-    // Create scanner instance
-    if (!html5QrCode) {
-      html5QrCode = new Html5Qrcode("reader", { verbose: false });
-    }
-    
-    // Scanner configuration
-    const config = {
-      fps: 10,
-      qrbox: function(viewfinderWidth, viewfinderHeight) {
-        const minDimension = Math.min(viewfinderWidth, viewfinderHeight);
-        const size = Math.floor(minDimension * 0.7);
+  // Get digits only (remove any non-numeric)
+  const digits14 = (gtin14 || '').replace(/\D/g, '');
+  const digits13 = (gtin13 || '').replace(/\D/g, '');
+  
+  // 1. Exact match on original code
+  if (digits14 && idx.exact.has(digits14)) {
+    return { name: idx.exact.get(digits14), type: 'EXACT' };
+  }
+  
+  if (digits13 && idx.exact.has(digits13)) {
+    return { name: idx.exact.get(digits13), type: 'EXACT' };
+  }
+  
+  // 2. Try GTIN-14 padded version
+  const padded14 = digits14.padStart(14, '0');
+  if (idx.exact.has(padded14)) {
+    return { name: idx.exact.get(padded14), type: 'EXACT' };
+  }
+  
+  // 3. Try without leading zeros
+  const stripped = digits14.replace(/^0+/, '');
+  if (stripped && idx.exact.has(stripped)) {
+    return { name: idx.exact.get(stripped), type: 'EXACT' };
+  }
+  
+  // 4. Last-8 digits match (fuzzy)
+  if (digits14.length >= 8) {
+    const last8 = digits14.slice(-8);
+    if (idx.last8.has(last8)) {
+      const matches = idx.last8.get(last8);
+      if (matches.length === 1) {
+        return { name: matches[0].name, type: 'LAST8' };
+      }
+      if (matches.length > 1) {
+        return { name: matches[0].name, type: 'AMBIG' };
+      }
+    }
+  }
+  
+  // 5. Try shorter matches for internal codes (5-11 digits)
+  if (digits14.length >= 5 && digits14.length <= 11) {
+    // Try with leading zeros added
+    for (let pad = digits14.length; pad <= 14; pad++) {
+      const paddedCode = digits14.padStart(pad, '0');
+      if (idx.exact.has(paddedCode)) {
+        return { name: idx.exact.get(paddedCode), type: 'EXACT' };
+      }
+    }
+  }
+  
+  return { name: '', type: 'NONE' };
+}
+
+function buildMasterIndex() {
+  const exact = new Map();
+  const last8 = new Map();
+  
+  State.masterData.forEach((name, barcode) => {
+    // HIBC product IDs are kept as-is
+    if (String(barcode).startsWith('+')) {
+      exact.set(barcode, name);
+      return;
+    }
+    
+    // Get digits only
+    const digits = String(barcode).replace(/\D/g, '');
+    
+    if (!digits) return;
+    
+    // Store original
+    exact.set(digits, name);
+    exact.set(barcode, name);
+    
+    // For GTIN-length codes (8/12/13/14), also store padded versions
+    if ([8, 12, 13, 14].includes(digits.length)) {
+      const g14 = digits.padStart(14, '0');
+      const g13 = g14.startsWith('0') ? g14.substring(1) : g14;
+      const g12 = g13.startsWith('0') ? g13.substring(1) : g13;
+      
+      exact.set(g14, name);
+      exact.set(g13, name);
+      exact.set(g12, name);
+      
+      // Last-8 index
+      const key = g14.slice(-8);
+      if (!last8.has(key)) last8.set(key, []);
+      last8.get(key).push({ barcode: digits, name });
+    } else if (digits.length >= 8) {
+      // For longer codes, still index last-8
+      const key = digits.slice(-8);
+      if (!last8.has(key)) last8.set(key, []);
+      last8.get(key).push({ barcode: digits, name });
+    }
+    
+    // Also store without leading zeros
+    const stripped = digits.replace(/^0+/, '');
+    if (stripped && stripped !== digits) {
+      exact.set(stripped, name);
+    }
+  });
+  
+  State.masterIndex = { exact, last8 };
+  console.log(`📦 Master index built: ${exact.size} exact entries, ${last8.size} last-8 entries`);
+}
+
+// ============================================
+// API PRODUCT LOOKUP (MEDICINE-FOCUSED)
+// Priority: OpenFDA → DailyMed → RxNorm → OpenFoodFacts
+// All APIs are FREE and reliable for pharmaceutical data
+// ============================================
+async function lookupProductAPI(gtin) {
+  if (!State.apiLookupEnabled || !navigator.onLine) {
+    return null;
+  }
+  
+  // Prepare different barcode formats
+  const gtin14 = gtin.padStart(14, '0');
+  const gtin13 = gtin14.startsWith('0') ? gtin14.substring(1) : gtin14;
+  const gtin12 = gtin13.startsWith('0') ? gtin13.substring(1) : gtin13;
+  
+  // Extract NDC from GTIN (US drugs)
+  // NDC is typically: 5-4-2 or 5-3-2 format within the GTIN
+  const ndc11 = extractNDCFromGTIN(gtin14);
+  
+  console.log(`🔍 API Lookup: GTIN=${gtin}, NDC=${ndc11}`);
+  
+  // 1. Try OpenFDA first (best for US prescription drugs)
+  try {
+    const fdaResult = await lookupOpenFDA(gtin14, ndc11);
+    if (fdaResult) {
+      console.log('✅ Found in OpenFDA:', fdaResult.name);
+      return fdaResult;
+    }
+  } catch (e) {
+    console.log('OpenFDA lookup failed:', e.message);
+  }
+  
+  // 2. Try DailyMed (FDA drug labels)
+  try {
+    const dailymedResult = await lookupDailyMed(ndc11);
+    if (dailymedResult) {
+      console.log('✅ Found in DailyMed:', dailymedResult.name);
+      return dailymedResult;
+    }
+  } catch (e) {
+    console.log('DailyMed lookup failed:', e.message);
+  }
+  
+  // 3. Try Open Food Facts (for OTC, supplements, healthcare products)
+  try {
+    const offResult = await lookupOpenFoodFacts(gtin13);
+    if (offResult) {
+      console.log('✅ Found in OpenFoodFacts:', offResult.name);
+      return offResult;
+    }
+  } catch (e) {
+    console.log('Open Food Facts lookup failed:', e.message);
+  }
+  
+  console.log('❌ No API match found for:', gtin);
+  return null;
+}
+
+// Extract NDC from GTIN-14
+// US pharmaceutical GTINs typically encode NDC in positions 4-13
+function extractNDCFromGTIN(gtin14) {
+  // Remove leading zeros and indicator digit
+  // GTIN-14: [1 indicator][13 UPC/EAN]
+  // UPC-A: 0 + NDC-11 + check digit
+  // So NDC is in positions 2-12 of GTIN-14
+  
+  if (!gtin14 || gtin14.length < 14) return null;
+  
+  // Try different NDC extractions
+  const possible11 = gtin14.substring(2, 13); // positions 2-12
+  const possible10 = gtin14.substring(3, 13); // positions 3-12
+  
+  // NDC-11 format: 5-4-2 (most common for US drugs)
+  return possible11;
+}
+
+// OpenFDA Drug API - FREE, no API key required
+// Best for US prescription drugs, OTC drugs
+async function lookupOpenFDA(gtin14, ndc11) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+  
+  try {
+    // Try searching by package NDC
+    let searchTerm = '';
+    if (ndc11) {
+      // Format NDC for search (try different formats)
+      const ndcDashed = formatNDC(ndc11);
+      searchTerm = `packaging.package_ndc:"${ndcDashed}"`;
+    }
+    
+    // Also try by GTIN directly (some entries have it)
+    const gtinSearch = `openfda.package_ndc:"${gtin14}"`;
+    
+    const url = `${CONFIG.API.OPEN_FDA}?search=${encodeURIComponent(searchTerm)}&limit=1`;
+    
+    const response = await fetch(url, { 
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json' }
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) {
+      // Try alternative search
+      return await lookupOpenFDAByBrandName(gtin14);
+    }
+    
+    const data = await response.json();
+    
+    if (data.results && data.results.length > 0) {
+      const drug = data.results[0];
+      
+      // Build drug name from available fields
+      let name = '';
+      
+      if (drug.brand_name) {
+        name = drug.brand_name;
+      } else if (drug.generic_name) {
+        name = drug.generic_name;
+      } else if (drug.openfda && drug.openfda.brand_name) {
+        name = Array.isArray(drug.openfda.brand_name) 
+          ? drug.openfda.brand_name[0] 
+          : drug.openfda.brand_name;
+      }
+      
+      // Add strength if available
+      if (drug.active_ingredients && drug.active_ingredients.length > 0) {
+        const strength = drug.active_ingredients[0].strength;
+        if (strength && !name.includes(strength)) {
+          name += ` ${strength}`;
+        }
+      }
+      
+      // Add dosage form
+      if (drug.dosage_form && !name.toLowerCase().includes(drug.dosage_form.toLowerCase())) {
+        name += ` ${drug.dosage_form}`;
+      }
+      
+      if (name) {
+        return {
+          name: name.trim(),
+          brand: drug.labeler_name || '',
+          source: 'OpenFDA',
+          ndc: drug.product_ndc || ndc11
+        };
+      }
+    }
+    
+    return null;
+  } catch (e) {
+    clearTimeout(timeoutId);
+    if (e.name !== 'AbortError') throw e;
+    return null;
+  }
+}
+
+// Fallback OpenFDA search
+async function lookupOpenFDAByBrandName(gtin) {
+  // This is a fallback - not as reliable
+  return null;
+}
+
+// Format NDC to dashed format (5-4-2 or 5-3-2)
+function formatNDC(ndc11) {
+  if (!ndc11 || ndc11.length < 10) return ndc11;
+  
+  // Standard 5-4-2 format
+  if (ndc11.length === 11) {
+    return `${ndc11.substring(0,5)}-${ndc11.substring(5,9)}-${ndc11.substring(9,11)}`;
+  }
+  
+  // 10-digit NDC
+  if (ndc11.length === 10) {
+    return `${ndc11.substring(0,5)}-${ndc11.substring(5,8)}-${ndc11.substring(8,10)}`;
+  }
+  
+  return ndc11;
+}
+
+// DailyMed API - FREE, FDA drug labels
+async function lookupDailyMed(ndc) {
+  if (!ndc) return null;
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+  
+  try {
+    // Search by NDC
+    const url = `${CONFIG.API.DAILYMED}?ndc=${formatNDC(ndc)}`;
+    
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json' }
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) return null;
+    
+    const data = await response.json();
+    
+    if (data.data && data.data.length > 0) {
+      const spl = data.data[0];
+      
+      let name = spl.title || spl.name || '';
+      
+      // Clean up the name (DailyMed titles can be verbose)
+      if (name.length > 100) {
+        name = name.substring(0, 100).trim();
+      }
+      
+      if (name) {
+        return {
+          name: name,
+          brand: spl.labeler || '',
+          source: 'DailyMed',
+          ndc: ndc
+        };
+      }
+    }
+    
+    return null;
+  } catch (e) {
+    clearTimeout(timeoutId);
+    if (e.name !== 'AbortError') throw e;
+    return null;
+  }
+}
+
+// Open Food Facts - for OTC, supplements, healthcare products
+async function lookupOpenFoodFacts(barcode) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 6000);
+  
+  try {
+    const response = await fetch(
+      `${CONFIG.API.OPEN_FOOD_FACTS}${barcode}.json`,
+      { 
+        signal: controller.signal,
+        headers: { 'User-Agent': 'OasisPharmacy/2.0' }
+      }
+    );
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) return null;
+    
+    const data = await response.json();
+    
+    if (data.status === 1 && data.product) {
+      const product = data.product;
+      
+      // Check if it's a health/medicine product
+      const categories = (product.categories || '').toLowerCase();
+      const isHealthProduct = 
+        categories.includes('health') ||
+        categories.includes('medicine') ||
+        categories.includes('pharmaceutical') ||
+        categories.includes('supplement') ||
+        categories.includes('vitamin') ||
+        categories.includes('drug') ||
+        categories.includes('otc');
+      
+      const name = product.product_name || 
+                   product.product_name_en || 
+                   product.generic_name ||
+                   null;
+      
+      if (name) {
+        return {
+          name: name,
+          brand: product.brands || '',
+          source: 'OpenFoodFacts',
+          isHealthProduct: isHealthProduct
+        };
+      }
+    }
+    
+    return null;
+  } catch (e) {
+    clearTimeout(timeoutId);
+    if (e.name !== 'AbortError') throw e;
+    return null;
+  }
+}
+
+// ============================================
+// CAMERA SCANNING (Cross-Browser Compatible)
+// Using html5-qrcode library for maximum compatibility
+// ============================================
+
+let html5QrCode = null;
+let availableCameras = [];
+let currentCameraIndex = 0;
+
+// Initialize scanner
+async function initScanner() {
+  // Check if library is loaded
+  if (typeof Html5Qrcode === 'undefined') {
+    console.error('Html5Qrcode library not loaded');
+    document.getElementById('browserSupportInfo').style.display = 'block';
+    return false;
+  }
+  
+  try {
+    // Get available cameras
+    availableCameras = await Html5Qrcode.getCameras();
+    console.log('Available cameras:', availableCameras);
+    
+    if (availableCameras.length === 0) {
+      showToast('No cameras found on this device', 'warning');
+      document.getElementById('browserSupportInfo').style.display = 'block';
+      return false;
+    }
+    
+    // Prefer back camera
+    currentCameraIndex = 0;
+    for (let i = 0; i < availableCameras.length; i++) {
+      const label = availableCameras[i].label.toLowerCase();
+      if (label.includes('back') || label.includes('rear') || label.includes('environment')) {
+        currentCameraIndex = i;
+        break;
+      }
+    }
+    
+    return true;
+  } catch (err) {
+    console.error('Camera init error:', err);
+    
+    if (err.name === 'NotAllowedError') {
+      showToast('Camera permission denied. Please allow camera access in browser settings.', 'error');
+    } else {
+      showToast('Could not access cameras: ' + (err.message || err), 'error');
+    }
+    
+    document.getElementById('browserSupportInfo').style.display = 'block';
+    return false;
+  }
+}
+
+async function startScanning() {
+  // Stop if already scanning
+  if (State.scanning) {
+    await stopScanning();
+    return;
+  }
+  
+  // Check library
+  if (typeof Html5Qrcode === 'undefined') {
+    showToast('Scanner library not loaded. Try refreshing the page.', 'error');
+    return;
+  }
+  
+  try {
+    // Initialize cameras if not done
+    if (availableCameras.length === 0) {
+      const success = await initScanner();
+      if (!success) return;
+    }
+    
+    // Create scanner instance
+    if (!html5QrCode) {
+      html5QrCode = new Html5Qrcode("reader", { verbose: false });
+    }
+    
+    // Scanner configuration
+    const config = {
+      fps: 10,
+      qrbox: function(viewfinderWidth, viewfinderHeight) {
+        const minDimension = Math.min(viewfinderWidth, viewfinderHeight);
+        const size = Math.floor(minDimension * 0.7);
         return { width: size, height: size };
       },
       aspectRatio: 1.0,
@@ -881,417 +2323,2824 @@ async function startScanning() {
       }
     };
     
-    const cameraId = availableCameras[currentCameraIndex].id;
+    const cameraId = availableCameras[currentCameraIndex].id;
+    
+    // Remembered resolution for this camera (replaces the camera id)
+    const videoConstraints = CameraControls.videoConstraints();
+    if (videoConstraints) config.videoConstraints = videoConstraints;
+    
+    await html5QrCode.start(
+      cameraId,
+      config,
+      onScanSuccess,
+      onScanError
+    );
+    
+    State.scanning = true;
+    updateScannerUI();
+    await CameraControls.onStarted();
+    Haptic.medium();
+    showToast('Scanner started', 'success');
+    
+  } catch (err) {
+    console.error('Start scanning error:', err);
+    State.scanning = false;
+    updateScannerUI();
+    
+    let message = 'Failed to start scanner';
+    
+    if (err.toString().includes('NotAllowedError') || err.toString().includes('Permission')) {
+      message = 'Camera permission denied. Please allow camera access.';
+    } else if (err.toString().includes('NotFoundError')) {
+      message = 'No camera found on this device';
+    } else if (err.toString().includes('NotReadableError')) {
+      message = 'Camera is being used by another app';
+    } else if (err.toString().includes('OverconstrainedError')) {
+      message = 'Camera does not meet requirements';
+    } else if (err.message) {
+      message = err.message;
+    }
+    
+    Haptic.error();
+    showToast(message, 'error');
+    document.getElementById('browserSupportInfo').style.display = 'block';
+  }
+}
+
+async function stopScanning() {
+  if (!html5QrCode) {
+    State.scanning = false;
+    updateScannerUI();
+    return;
+  }
+  
+  try {
+    await html5QrCode.stop();
+    console.log('Scanner stopped');
+  } catch (err) {
+    console.log('Stop scanner note:', err);
+  }
+  
+  State.scanning = false;
+  updateScannerUI();
+  CameraControls.onStopped();
+}
+
+// Scan success callback
+async function onScanSuccess(decodedText, decodedResult) {
+  const now = Date.now();
+  
+  // Debounce same barcode
+  if (decodedText === State.lastScan.code && now - State.lastScan.time < CONFIG.DEBOUNCE_MS) {
+    return;
+  }
+  
+  State.lastScan = { code: decodedText, time: now };
+  
+  console.log('Scanned:', decodedText);
+  await processScan(decodedText, { format: decodedResult?.result?.format?.formatName });
+}
+
+// Scan error callback (called every frame when no barcode)
+function onScanError(errorMessage) {
+  // Ignore - this is normal when no barcode in frame
+}
+
+// Switch camera
+async function switchCamera() {
+  Haptic.light();
+  
+  if (availableCameras.length <= 1) {
+    showToast('Only one camera available', 'info');
+    return;
+  }
+  
+  // Cycle to next camera
+  currentCameraIndex = (currentCameraIndex + 1) % availableCameras.length;
+  const cameraName = availableCameras[currentCameraIndex].label || `Camera ${currentCameraIndex + 1}`;
+  
+  if (State.scanning) {
+    await stopScanning();
+    setTimeout(async () => {
+      await startScanning();
+      showToast(`Switched to: ${cameraName}`, 'success');
+    }, 300);
+  } else {
+    showToast(`Will use: ${cameraName}`, 'info');
+  }
+}
+
+// Update scanner UI
+function updateScannerUI() {
+  const container = document.getElementById('scannerContainer');
+  const hint = document.getElementById('scannerHint');
+  const btnText = document.getElementById('btnScannerText');
+  const fab = document.getElementById('scanFab');
+  const fabIcon = document.getElementById('scanFabIcon');
+  const overlay = document.getElementById('scannerOverlay');
+  
+  if (State.scanning) {
+    container?.classList.add('scanning');
+    fab?.classList.add('scanning');
+    if (hint) hint.textContent = 'Scanning... Point at barcode';
+    if (btnText) btnText.textContent = 'Stop Scanner';
+    if (overlay) overlay.classList.remove('hidden');
+    if (fabIcon) {
+      fabIcon.innerHTML = '<rect x="6" y="6" width="12" height="12" rx="2"/>';
+    }
+  } else {
+    container?.classList.remove('scanning');
+    fab?.classList.remove('scanning');
+    if (hint) hint.textContent = 'Tap button to start scanning';
+    if (btnText) btnText.textContent = 'Start Scanner';
+    if (overlay) overlay.classList.add('hidden');
+    if (fabIcon) {
+      fabIcon.innerHTML = '<path d="M3 7V5a2 2 0 0 1 2-2h2M17 3h2a2 2 0 0 1 2 2v2M21 17v2a2 2 0 0 1-2 2h-2M7 21H5a2 2 0 0 1-2-2v-2"/><line x1="7" y1="12" x2="17" y2="12"/>';
+    }
+  }
+}
+
+// ============================================
+// CAMERA CONTROLS (torch, zoom, focus, resolution)
+// Read from the running MediaStreamTrack's capabilities;
+// choices are remembered per camera in settings
+// ============================================
+const CAMERA_RESOLUTIONS = {
+  auto: null,
+  '720': { width: 1280, height: 720 },
+  '1080': { width: 1920, height: 1080 },
+  '1440': { width: 2560, height: 1440 }
+};
+
+const CameraControls = {
+  capabilities: {},
+  torchOn: false,
+  
+  cameraId() {
+    return availableCameras[currentCameraIndex]?.id || '';
+  },
+  
+  prefs() {
+    return State.cameraControls[this.cameraId()] || {};
+  },
+  
+  async remember(changes) {
+    State.cameraControls[this.cameraId()] = { ...this.prefs(), ...changes };
+    await saveSetting('cameraControls', State.cameraControls);
+  },
+  
+  // Resolution has to be requested when the stream opens
+  videoConstraints() {
+    const size = CAMERA_RESOLUTIONS[this.prefs().resolution];
+    if (!size) return null;
+    return {
+      deviceId: { exact: this.cameraId() },
+      width: { ideal: size.width },
+      height: { ideal: size.height }
+    };
+  },
+  
+  async apply(constraint) {
+    try {
+      await html5QrCode.applyVideoConstraints({ advanced: [constraint] });
+      return true;
+    } catch (err) {
+      console.log('Camera constraint not applied:', constraint, err);
+      return false;
+    }
+  },
+  
+  // Called once the camera is running: read capabilities, restore choices
+  async onStarted() {
+    try {
+      this.capabilities = html5QrCode.getRunningTrackCapabilities() || {};
+    } catch (err) {
+      this.capabilities = {};
+    }
+    
+    const caps = this.capabilities;
+    const prefs = this.prefs();
+    this.torchOn = false;
+    
+    if (caps.zoom && prefs.zoom) await this.apply({ zoom: prefs.zoom });
+    if (caps.focusMode?.includes(prefs.focusMode)) {
+      const focus = { focusMode: prefs.focusMode };
+      if (prefs.focusMode === 'manual' && caps.focusDistance && prefs.focusDistance !== undefined) {
+        focus.focusDistance = prefs.focusDistance;
+      }
+      await this.apply(focus);
+    }
+    if (caps.torch && prefs.torch) {
+      this.torchOn = await this.apply({ torch: true });
+    }
+    
+    this.render();
+  },
+  
+  onStopped() {
+    this.capabilities = {};
+    this.torchOn = false;
+    this.render();
+  },
+  
+  async toggleTorch() {
+    if (!this.capabilities.torch) return;
+    const on = !this.torchOn;
+    if (await this.apply({ torch: on })) {
+      this.torchOn = on;
+      await this.remember({ torch: on });
+      Haptic.light();
+      this.render();
+    }
+  },
+  
+  async setZoom(value) {
+    if (await this.apply({ zoom: value })) await this.remember({ zoom: value });
+  },
+  
+  async setFocusMode(mode) {
+    if (await this.apply({ focusMode: mode })) await this.remember({ focusMode: mode });
+    this.render();
+  },
+  
+  async setFocusDistance(value) {
+    if (await this.apply({ focusMode: 'manual', focusDistance: value })) {
+      await this.remember({ focusMode: 'manual', focusDistance: value });
+    }
+  },
+  
+  // Takes effect by restarting the camera
+  async setResolution(value) {
+    await this.remember({ resolution: value });
+    if (State.scanning) {
+      await stopScanning();
+      await startScanning();
+    }
+  },
+  
+  render() {
+    const caps = this.capabilities;
+    const prefs = this.prefs();
+    let settings = {};
+    try {
+      settings = State.scanning ? html5QrCode.getRunningTrackSettings() : {};
+    } catch (err) {
+      settings = {};
+    }
+    
+    const torchBtn = document.getElementById('btnTorch');
+    if (torchBtn) {
+      torchBtn.style.display = caps.torch ? '' : 'none';
+      torchBtn.classList.toggle('active', this.torchOn);
+    }
+    
+    const toggleRow = (id, show) => {
+      const row = document.getElementById(id);
+      if (row) row.style.display = show ? '' : 'none';
+    };
+    
+    const zoom = document.getElementById('cameraZoom');
+    toggleRow('cameraZoomRow', !!caps.zoom);
+    if (zoom && caps.zoom) {
+      zoom.min = caps.zoom.min;
+      zoom.max = caps.zoom.max;
+      zoom.step = caps.zoom.step || 0.1;
+      zoom.value = settings.zoom ?? prefs.zoom ?? caps.zoom.min;
+    }
+    
+    const focus = document.getElementById('cameraFocusMode');
+    toggleRow('cameraFocusRow', caps.focusMode?.length > 1);
+    if (focus && caps.focusMode) {
+      const labels = { continuous: 'Auto (continuous)', 'single-shot': 'Single shot', manual: 'Manual' };
+      focus.innerHTML = caps.focusMode
+        .filter(mode => labels[mode])
+        .map(mode => `<option value="${mode}">${labels[mode]}</option>`)
+        .join('');
+      focus.value = settings.focusMode || prefs.focusMode || caps.focusMode[0];
+    }
+    
+    const distance = document.getElementById('cameraFocusDistance');
+    toggleRow('cameraFocusDistanceRow', !!caps.focusDistance && focus?.value === 'manual');
+    if (distance && caps.focusDistance) {
+      distance.min = caps.focusDistance.min;
+      distance.max = caps.focusDistance.max;
+      distance.step = caps.focusDistance.step || 0.01;
+      distance.value = settings.focusDistance ?? prefs.focusDistance ?? caps.focusDistance.min;
+    }
+    
+    const resolution = document.getElementById('cameraResolution');
+    if (resolution) resolution.value = prefs.resolution || 'auto';
+    
+    const info = document.getElementById('cameraTrackInfo');
+    if (info) {
+      info.textContent = settings.width ? `Camera running at ${settings.width}×${settings.height}` : '';
+    }
+  }
+};
+
+// Scan image file: every barcode in the photo, picked in a modal when several
+async function scanImageFile(file) {
+  if (!file) return;
+  
+  if (typeof Html5Qrcode === 'undefined' && !('BarcodeDetector' in window)) {
+    showToast('Scanner library not loaded', 'error');
+    return;
+  }
+  
+  showToast('Scanning image...', 'info');
+  
+  try {
+    const image = await loadImageFile(file);
+    let found = null;
+    if ('BarcodeDetector' in window) {
+      found = await detectWithBarcodeDetector(image).catch(err => {
+        console.log('BarcodeDetector failed, tiling instead:', err);
+        return null;
+      });
+    }
+    
+    // No native detector, one that reads none of our formats, or one
+    // that found nothing: html5-qrcode may still read the tiles
+    const tiled = !found?.length && typeof Html5Qrcode !== 'undefined';
+    if (tiled) {
+      found = await detectByTiling(image);
+    } else if (!found) {
+      showToast('Scanner library not loaded', 'error');
+      return;
+    }
+    
+    console.log('Image scan results:', found);
+    
+    if (found.length === 0) {
+      showToast('No barcode found in image', 'warning');
+    } else if (found.length === 1) {
+      await processScan(found[0].code, { format: found[0].format });
+    } else {
+      openImageScanModal(file, found, tiled);
+    }
+    
+    // Tiles carry no position of their own, so a tray of identical
+    // packs reads as one code
+    if (tiled && found.length) {
+      showToast('Identical barcodes in a photo are only read once here: check the quantity', 'info');
+    }
+  } catch (err) {
+    console.log('Image scan error:', err);
+    showToast('Could not read barcode from image', 'warning');
+  }
+}
+
+// The decoded image stays usable after its object URL is revoked
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Not an image'));
+    };
+    img.src = url;
+  });
+}
+
+// Native detector: finds every code at once, with exact boxes.
+// null when the browser supports none of the formats.
+async function detectWithBarcodeDetector(image) {
+  const formats = await BarcodeDetector.getSupportedFormats();
+  if (!formats.length) return null;
+  const detector = new BarcodeDetector({ formats });
+  const results = await detector.detect(image);
+  const w = image.naturalWidth;
+  const h = image.naturalHeight;
+  
+  return results.map(r => ({
+    code: r.rawValue,
+    format: r.format.toUpperCase(),
+    box: {
+      x: r.boundingBox.x / w,
+      y: r.boundingBox.y / h,
+      w: r.boundingBox.width / w,
+      h: r.boundingBox.height / h
+    }
+  }));
+}
+
+/**
+ * html5-qrcode only returns one code per image, so scan overlapping
+ * tiles (2x2 then 3x3 grids, half-tile steps) and keep each distinct
+ * code with the smallest tile it was found in as its box.
+ */
+async function detectByTiling(image) {
+  const scanner = new Html5Qrcode('temp-scanner');
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const w = image.naturalWidth;
+  const h = image.naturalHeight;
+  const found = new Map();
+  
+  const tiles = [{ x: 0, y: 0, w: 1, h: 1 }];
+  [2, 3].forEach(n => {
+    const size = 1 / n;
+    for (let y = 0; y + size <= 1.0001; y += size / 2) {
+      for (let x = 0; x + size <= 1.0001; x += size / 2) {
+        tiles.push({ x, y, w: size, h: size });
+      }
+    }
+  });
+  
+  for (const tile of tiles) {
+    canvas.width = Math.round(tile.w * w);
+    canvas.height = Math.round(tile.h * h);
+    ctx.drawImage(image, tile.x * w, tile.y * h, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    try {
+      const result = await scanner.scanFileV2(new File([blob], 'tile.png', { type: 'image/png' }), false);
+      const previous = found.get(result.decodedText);
+      if (!previous || previous.box.w > tile.w) {
+        found.set(result.decodedText, {
+          code: result.decodedText,
+          format: result.result?.format?.formatName,
+          box: tile
+        });
+      }
+    } catch (e) {
+      // No barcode in this tile
+    }
+  }
+  
+  scanner.clear();
+  return [...found.values()];
+}
+
+function openImageScanModal(file, found, tiled = false) {
+  State.imageScanResults = found;
+  
+  // Revoked again in closeImageScanModal
+  document.getElementById('imageScanPreview').src = URL.createObjectURL(file);
+  document.getElementById('imageScanSubtitle').textContent =
+    `${found.length} barcodes found${tiled ? ' · identical barcodes are shown once' : ''}`;
+  
+  const boxes = document.getElementById('imageScanBoxes');
+  const list = document.getElementById('imageScanList');
+  boxes.textContent = '';
+  list.textContent = '';
+  
+  found.forEach((item, i) => {
+    const box = document.createElement('label');
+    box.className = 'image-scan-box';
+    box.style.left = `${item.box.x * 100}%`;
+    box.style.top = `${item.box.y * 100}%`;
+    box.style.width = `${item.box.w * 100}%`;
+    box.style.height = `${item.box.h * 100}%`;
+    box.innerHTML = `<input type="checkbox" data-index="${i}" checked><span>${i + 1}</span>`;
+    boxes.appendChild(box);
+    
+    const parsed = parseGS1(item.code);
+    const row = document.createElement('label');
+    row.className = `image-scan-item${parsed.valid ? '' : ' invalid'}`;
+    row.innerHTML = `<input type="checkbox" data-index="${i}" ${parsed.valid ? 'checked' : ''}><span class="image-scan-num">${i + 1}</span>`;
+    const text = document.createElement('span');
+    text.className = 'image-scan-code';
+    text.textContent = parsed.valid
+      ? [parsed.gtin13, parsed.batch && `Batch ${parsed.batch}`, parsed.expiryFormatted].filter(Boolean).join(' · ')
+      : `${item.code} (${(parsed.errors[0] || { message: 'invalid' }).message})`;
+    row.appendChild(text);
+    list.appendChild(row);
+    
+    if (!parsed.valid) box.querySelector('input').checked = false;
+  });
+  
+  updateImageScanCount();
+  document.getElementById('imageScanModal')?.classList.add('active');
+}
+
+// Box and list checkboxes for the same code stay in step
+function onImageScanToggle(e) {
+  const index = e.target.dataset.index;
+  if (index === undefined) return;
+  document.querySelectorAll(`#imageScanModal input[data-index="${index}"]`).forEach(cb => {
+    cb.checked = e.target.checked;
+  });
+  updateImageScanCount();
+}
+
+function updateImageScanCount() {
+  const count = document.querySelectorAll('#imageScanList input:checked').length;
+  document.getElementById('btnImageScanSave').textContent = `Add ${count}`;
+}
+
+function closeImageScanModal() {
+  document.getElementById('imageScanModal')?.classList.remove('active');
+  const preview = document.getElementById('imageScanPreview');
+  if (preview?.src) URL.revokeObjectURL(preview.src);
+  State.imageScanResults = [];
+}
+
+async function saveImageScanSelection() {
+  const selected = [...document.querySelectorAll('#imageScanList input:checked')]
+    .map(cb => State.imageScanResults[cb.dataset.index]);
+  closeImageScanModal();
+  
+  if (selected.length === 0) return;
+  
+  // A shelf label in the photo applies to the packs beside it
+  selected.sort((a, b) => !!locationFromScan(b.code) - !!locationFromScan(a.code));
+  
+  const counts = { saved: 0, merged: 0, duplicate: 0, invalid: 0, location: 0 };
+  for (const item of selected) {
+    const outcome = await processScan(item.code, { format: item.format, batch: true });
+    counts[outcome in counts ? outcome : 'invalid']++;
+  }
+  
+  const parts = [`${counts.saved} added`];
+  if (counts.merged) parts.push(`${counts.merged} merged`);
+  if (counts.duplicate) parts.push(`${counts.duplicate} already counted`);
+  if (counts.location) parts.push(`at ${State.currentLocation}`);
+  if (counts.invalid) parts.push(`${counts.invalid} rejected`);
+  
+  Haptic.success();
+  showToast(`Image: ${parts.join(', ')}`, counts.invalid || counts.duplicate ? 'warning' : 'success');
+}
+
+// ============================================
+// KEYBOARD WEDGE SCANNER (USB / Bluetooth HID)
+// Scanners "type" the code much faster than a person:
+// a burst of keys closer together than maxGapMs,
+// ended by Enter/Tab (or a pause), is treated as a scan
+// ============================================
+const Wedge = {
+  buffer: '',
+  gaps: [],
+  lastKey: 0,
+  altCode: '',
+  idleTimer: null,
+  
+  reset() {
+    this.buffer = '';
+    this.gaps = [];
+    this.altCode = '';
+    clearTimeout(this.idleTimer);
+  },
+  
+  isTesting() {
+    return document.activeElement?.id === 'wedgeTestPad';
+  },
+  
+  // Typing into a form field is left alone, except on the test pad
+  isActive(e) {
+    if (this.isTesting()) return true;
+    if (!State.wedge.enabled) return false;
+    
+    const el = e.target;
+    if (el?.isContentEditable) return false;
+    if (el?.tagName === 'TEXTAREA' || el?.tagName === 'SELECT') return false;
+    if (el?.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(el.type)) return false;
+    return true;
+  },
+  
+  // Character for a key press, GS from Ctrl+] (ASCII 29) or Alt+0029
+  charFor(e) {
+    if (e.key === GS || (e.ctrlKey && (e.key === ']' || e.code === 'BracketRight'))) return GS;
+    if (e.altKey && /^\d$/.test(e.key) && e.code?.startsWith('Numpad')) {
+      this.altCode += e.key;
+      return null;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return null;
+    return e.key.length === 1 ? e.key : null;
+  },
+  
+  append(ch, now) {
+    if (this.buffer) this.gaps.push(now - this.lastKey);
+    this.buffer += ch;
+    this.lastKey = now;
+    
+    if (State.wedge.terminators.length === 0) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => this.finish(''), State.wedge.maxGapMs * 2);
+    }
+  },
+  
+  onKeydown(e) {
+    if (!this.isActive(e)) return;
+    
+    const now = performance.now();
+    if (this.buffer && now - this.lastKey > State.wedge.maxGapMs) this.reset();
+    
+    if (State.wedge.terminators.includes(e.key)) {
+      if (this.buffer.length >= State.wedge.minLength || (this.isTesting() && this.buffer)) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.finish(e.key);
+      } else {
+        this.reset();
+      }
+      return;
+    }
+    
+    const ch = this.charFor(e);
+    if (ch === null) return;
+    
+    // Keep scanner bursts from triggering page shortcuts
+    if (ch === GS || this.isTesting()) e.preventDefault();
+    this.append(ch, now);
+  },
+  
+  onKeyup(e) {
+    if (e.key !== 'Alt' || !this.altCode) return;
+    const ch = String.fromCharCode(parseInt(this.altCode, 10));
+    this.altCode = '';
+    if (this.isActive(e)) this.append(ch, performance.now());
+  },
+  
+  finish(terminator) {
+    const raw = this.buffer;
+    const gaps = this.gaps;
+    this.reset();
+    
+    if (!raw || (raw.length < State.wedge.minLength && !this.isTesting())) return;
+    
+    let code = raw;
+    const { prefix, suffix } = State.wedge;
+    if (prefix && code.startsWith(prefix)) code = code.substring(prefix.length);
+    if (suffix && code.endsWith(suffix)) code = code.substring(0, code.length - suffix.length);
+    
+    if (this.isTesting()) {
+      renderWedgeTest({ raw, code, gaps, terminator });
+      return;
+    }
+    
+    processScan(code).catch(err => {
+      console.error('Wedge scan error:', err);
+      showToast('Scan could not be saved', 'error');
+    });
+  }
+};
+
+// Show what the test pad received and suggest a timing that fits it
+function renderWedgeTest({ raw, code, gaps, terminator }) {
+  const maxGap = gaps.length ? Math.max(...gaps) : 0;
+  const avgGap = gaps.length ? gaps.reduce((a, b) => a + b, 0) / gaps.length : 0;
+  const suggested = Math.max(20, Math.ceil(maxGap * 1.5 + 5));
+  const parsed = parseGS1(code);
+  
+  State.wedgeSuggestedGap = suggested;
+  
+  document.getElementById('wedgeTestCode').textContent = code.replace(new RegExp(GS, 'g'), '␝');
+  document.getElementById('wedgeTestStats').textContent = [
+    `${raw.length} chars`,
+    `avg ${avgGap.toFixed(0)} ms, max ${maxGap.toFixed(0)} ms between keys`,
+    `ended by ${terminator || 'pause'}`,
+    raw.includes(GS) ? 'group separators received' : 'no group separators'
+  ].join(' · ');
+  document.getElementById('wedgeTestParse').textContent = parsed.valid
+    ? `Reads as ${parsed.scheme} ${parsed.gtin13}${parsed.batch ? `, batch ${parsed.batch}` : ''}`
+    : `Not accepted: ${(parsed.errors[0] || { message: 'invalid barcode' }).message}`;
+  document.getElementById('btnWedgeUseTiming').textContent = `Use ${suggested} ms timing`;
+  document.getElementById('wedgeTestResult').classList.add('visible');
+  
+  Haptic.success();
+}
+
+function syncWedgeSettingsUI() {
+  const w = State.wedge;
+  const toggle = document.getElementById('toggleWedge');
+  if (toggle) toggle.checked = w.enabled;
+  
+  const fields = {
+    wedgeMaxGap: w.maxGapMs,
+    wedgePrefix: w.prefix,
+    wedgeSuffix: w.suffix,
+    wedgeTerminator: w.terminators.join(',')
+  };
+  Object.entries(fields).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  });
+}
+
+// Stored or restored wedge settings with each field checked; a
+// missing or malformed field falls back to its default
+function normalizeWedgeSettings(value) {
+  const w = value && typeof value === 'object' ? value : {};
+  const d = CONFIG.WEDGE;
+  const count = (n, fallback) => Number.isFinite(n) && n > 0 ? n : fallback;
+  return {
+    enabled: typeof w.enabled === 'boolean' ? w.enabled : d.enabled,
+    maxGapMs: Math.min(200, Math.max(10, count(w.maxGapMs, d.maxGapMs))),
+    minLength: count(w.minLength, d.minLength),
+    prefix: typeof w.prefix === 'string' ? w.prefix : d.prefix,
+    suffix: typeof w.suffix === 'string' ? w.suffix : d.suffix,
+    terminators: Array.isArray(w.terminators)
+      ? w.terminators.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim())
+      : [...d.terminators]
+  };
+}
+
+async function saveWedgeSettings() {
+  await saveSetting('wedge', State.wedge);
+  syncWedgeSettingsUI();
+}
+
+// ============================================
+// STOCK LOCATIONS
+// Scans are stamped with the current location; shelf labels set it:
+// "LOC:<name>" or a GS1 GLN (414, optional 254 extension) with no GTIN
+// ============================================
+function locationFromScan(rawCode, parsed = parseGS1(rawCode)) {
+  // Scanners may prepend a symbology identifier (]Q1LOC:...)
+  const text = normalizeScanInput(rawCode).code.trim();
+  if (text.toUpperCase().startsWith(CONFIG.LOCATION_PREFIX)) {
+    return text.slice(CONFIG.LOCATION_PREFIX.length).trim() || null;
+  }
+  
+  const gln = parsed.ais['414'];
+  if (!gln || parsed.ais['01']) return null;
+  return parsed.ais['254'] ? `GLN ${gln}-${parsed.ais['254']}` : `GLN ${gln}`;
+}
+
+async function addLocation(name) {
+  if (!name || State.locations.includes(name)) return;
+  State.locations.push(name);
+  State.locations.sort((a, b) => a.localeCompare(b));
+  await saveSetting('locations', State.locations);
+  renderLocationSelect();
+}
+
+async function setCurrentLocation(name) {
+  State.currentLocation = name;
+  await addLocation(name);
+  await saveSetting('currentLocation', name);
+  renderLocationSelect();
+}
+
+function renderLocationSelect() {
+  const select = document.getElementById('locationSelect');
+  if (!select) return;
+  
+  select.innerHTML = '';
+  const options = [['', 'No location'], ...State.locations.map(l => [l, l]), ['__new', '+ New location…']];
+  for (const [value, label] of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = State.currentLocation;
+}
+
+// One tab per location in the history, shown once any row has one
+function renderLocationFilters() {
+  const container = document.getElementById('locationFilters');
+  if (!container) return;
+  
+  const used = Array.from(new Set(scopedHistory().map(h => h.location || ''))).sort((a, b) => a.localeCompare(b));
+  if (State.locationFilter !== 'all' && !used.includes(State.locationFilter)) State.locationFilter = 'all';
+  
+  container.innerHTML = '';
+  container.style.display = used.some(Boolean) ? '' : 'none';
+  
+  for (const [value, label] of [['all', 'All locations'], ...used.map(l => [l, l || 'No location'])]) {
+    const tab = document.createElement('button');
+    tab.className = `filter-tab${State.locationFilter === value ? ' active' : ''}`;
+    tab.dataset.location = value;
+    tab.textContent = label;
+    container.appendChild(tab);
+  }
+}
+
+// ============================================
+// STOCK-TAKE SESSIONS
+// At most one open session; scans attach to it and only merge
+// within it. Closed sessions are read-only.
+// ============================================
+async function loadSessions() {
+  const data = await DB.getAll('sessions');
+  State.sessions = data.sort((a, b) => b.id - a.id);
+  renderSessionBar();
+}
+
+function activeSession() {
+  return State.sessions.find(s => !s.closedAt) || null;
+}
+
+function sameSession(a, b) {
+  return (a.sessionId ?? null) === (b.sessionId ?? null);
+}
+
+function isReadOnly(entry) {
+  if (!entry || entry.sessionId == null) return false;
+  return !!State.sessions.find(s => s.id === entry.sessionId)?.closedAt;
+}
+
+// History rows in the session picked on the history page
+function scopedHistory() {
+  if (State.sessionScope === 'all') return [...State.history];
+  if (State.sessionScope === 'none') return State.history.filter(h => h.sessionId == null);
+  const id = parseInt(State.sessionScope);
+  return State.history.filter(h => h.sessionId === id);
+}
+
+function exportFileStem() {
+  const session = State.sessions.find(s => String(s.id) === State.sessionScope);
+  if (!session) return 'oasis-export';
+  const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `oasis-${slug || `session-${session.id}`}`;
+}
+
+async function startSession(name) {
+  if (activeSession()) {
+    showToast('Close the open session first', 'warning');
+    return;
+  }
+  
+  const session = {
+    name: name || `Stock-take ${new Date().toLocaleDateString()}`,
+    startedAt: new Date().toISOString(),
+    closedAt: null
+  };
+  session.id = await DB.put('sessions', session);
+  State.sessions.unshift(session);
+  State.sessionScope = String(session.id);
+  
+  document.getElementById('sessionNewRow')?.classList.remove('visible');
+  renderSessionBar();
+  filterHistory();
+  
+  Haptic.success();
+  showToast(`Session started: ${session.name}`, 'success');
+}
+
+async function closeSession() {
+  const session = activeSession();
+  if (!session) return;
+  
+  session.closedAt = new Date().toISOString();
+  await DB.put('sessions', session);
+  await audit('session-close', { target: session.id, summary: session.name });
+  State.lastHibcPrimary = null;
+  
+  renderSessionBar();
+  filterHistory();
+  
+  Haptic.success();
+  showToast(`Session closed: ${session.name}`, 'success');
+}
+
+// Removes a closed session; its rows go to the trash
+async function deleteSession(id) {
+  const session = State.sessions.find(s => s.id === id);
+  if (!session?.closedAt) return;
+  
+  const rows = State.history.filter(h => h.sessionId === id);
+  await DB.delete('sessions', id);
+  await audit('session-delete', {
+    target: id,
+    summary: session.name,
+    before: { session, rows: rows.map(auditSnapshot) }
+  });
+  State.sessions = State.sessions.filter(s => s.id !== id);
+  await moveToTrash(rows, 'session-delete');
+  State.sessionScope = 'all';
+  
+  renderSessionBar();
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  
+  Haptic.heavy();
+  showToast(`Session deleted: ${session.name}`, 'success');
+}
+
+function renderSessionBar() {
+  const session = activeSession();
+  const status = document.getElementById('sessionStatusText');
+  if (status) status.textContent = session ? `Open: ${session.name}` : 'No open session';
+  document.getElementById('sessionDot')?.classList.toggle('open', !!session);
+  const toggle = document.getElementById('btnSessionToggle');
+  if (toggle) toggle.textContent = session ? 'Close' : 'Start';
+  
+  const select = document.getElementById('sessionScopeSelect');
+  if (select) {
+    select.innerHTML = '';
+    const options = [['all', 'All scans'], ['none', 'Outside sessions'],
+      ...State.sessions.map(s => [String(s.id), `${s.name}${s.closedAt ? ' (closed)' : ''}`])];
+    for (const [value, label] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    if (!options.some(([value]) => value === State.sessionScope)) State.sessionScope = 'all';
+    select.value = State.sessionScope;
+  }
+  
+  const scoped = State.sessions.find(s => String(s.id) === State.sessionScope);
+  const deleteBtn = document.getElementById('btnDeleteSession');
+  if (deleteBtn) deleteBtn.style.display = scoped?.closedAt ? '' : 'none';
+  const compareBtn = document.getElementById('btnCompareSessions');
+  if (compareBtn) compareBtn.disabled = State.sessions.length < 2;
+}
+
+// Batches (GTIN + batch) present in one session but not the other,
+// and quantities that changed between them
+function compareSessions(fromId, toId) {
+  const totals = (id) => {
+    const map = new Map();
+    for (const h of State.history.filter(h => h.sessionId === id)) {
+      const key = `${h.gtin14}|${h.batch || ''}`;
+      const row = map.get(key) || { gtin: h.gtin14, name: h.productName || '', batch: h.batch || '', expiry: h.expiryDDMMYY || '', qty: 0 };
+      row.qty += h.qty || 1;
+      map.set(key, row);
+    }
+    return map;
+  };
+  
+  const from = totals(fromId);
+  const to = totals(toId);
+  const result = { disappeared: [], appeared: [], changed: [] };
+  
+  for (const [key, row] of from) {
+    if (!to.has(key)) result.disappeared.push({ ...row, fromQty: row.qty, toQty: 0 });
+    else if (to.get(key).qty !== row.qty) result.changed.push({ ...row, fromQty: row.qty, toQty: to.get(key).qty });
+  }
+  for (const [key, row] of to) {
+    if (!from.has(key)) result.appeared.push({ ...row, fromQty: 0, toQty: row.qty });
+  }
+  return result;
+}
+
+function openCompareModal() {
+  if (State.sessions.length < 2) {
+    showToast('Compare needs two sessions', 'warning');
+    return;
+  }
+  
+  ['compareFrom', 'compareTo'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.innerHTML = '';
+    State.sessions.forEach(s => {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = s.name;
+      select.appendChild(option);
+    });
+    // Previous session against the latest one
+    select.value = State.sessions[i === 0 ? 1 : 0].id;
+  });
+  
+  renderSessionComparison();
+  document.getElementById('compareModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeCompareModal() {
+  document.getElementById('compareModal')?.classList.remove('active');
+}
+
+function selectedComparison() {
+  const fromId = parseInt(document.getElementById('compareFrom')?.value);
+  const toId = parseInt(document.getElementById('compareTo')?.value);
+  return compareSessions(fromId, toId);
+}
+
+function renderSessionComparison() {
+  const list = document.getElementById('compareList');
+  if (!list) return;
+  
+  const result = selectedComparison();
+  list.textContent = '';
+  
+  const groups = [
+    ['disappeared', 'error', 'Gone'],
+    ['appeared', 'added', 'New'],
+    ['changed', 'warning', 'Qty']
+  ];
+  for (const [group, className, label] of groups) {
+    result[group].forEach(r => {
+      const li = document.createElement('li');
+      li.className = className;
+      const qty = group === 'changed' ? `${r.fromQty} → ${r.toQty}` : `×${r.fromQty || r.toQty}`;
+      li.textContent = `${label}: ${r.name || r.gtin} · Batch ${r.batch || '-'} · ${qty}`;
+      list.appendChild(li);
+    });
+  }
+  
+  document.getElementById('compareSummary').textContent =
+    `${result.disappeared.length} gone, ${result.appeared.length} new, ${result.changed.length} changed`;
+}
+
+function exportSessionComparison() {
+  const result = selectedComparison();
+  const rows = ['disappeared', 'appeared', 'changed'].flatMap(group => result[group].map(r => [
+    group.toUpperCase(),
+    r.gtin,
+    r.name,
+    r.batch,
+    r.expiry,
+    r.fromQty,
+    r.toQty
+  ]));
+  
+  if (rows.length === 0) {
+    showToast('No differences to export', 'warning');
+    return;
+  }
+  
+  const headers = ['CHANGE', 'BARCODE (GTIN)', 'DESCRIPTION', 'BATCH', 'EXPIRY (DDMMYY)', 'QTY BEFORE', 'QTY AFTER'];
+  const content = [headers, ...rows].map(row =>
+    row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+  
+  downloadFile(content, `oasis-session-compare-${formatDateForFile()}.csv`, 'text/csv');
+  
+  Haptic.success();
+  showToast('Comparison exported', 'success');
+}
+
+// ============================================
+// PROCESS SCANNED BARCODE
+// ============================================
+/**
+ * Parse, match and store one scan. options.format is the camera's
+ * symbology; options.batch (image/multi scans) skips the confirm modal
+ * and per-scan messages. Resolves to 'saved', 'merged', 'pending'
+ * (waiting in the confirm modal), 'location' (a location label set the
+ * current location), 'invalid' or 'busy'.
+ */
+async function processScan(rawCode, options = {}) {
+  // Confirm mode: one scan at a time; re-scanning the same code counts up
+  if (State.pendingScan && !options.batch) {
+    if (rawCode === State.pendingScan.entry.raw) {
+      stepResultQty(1);
+    } else {
+      showToast('Save or cancel the open scan first', 'warning');
+    }
+    return 'busy';
+  }
+  
+  const parsed = parseGS1(rawCode);
+  
+  const location = locationFromScan(rawCode, parsed);
+  if (location) {
+    await setCurrentLocation(location);
+    if (!options.batch) {
+      Haptic.success();
+      showToast(`Location: ${location}`, 'info');
+    }
+    return 'location';
+  }
+  
+  if (parsed.hibc?.secondaryOnly && parsed.hibc.checkValid) {
+    return completeHIBCSecondary(parsed, rawCode);
+  }
+  
+  if (!parsed.valid) {
+    if (!options.batch) {
+      Haptic.error();
+      showParseDiagnostics(parsed);
+    }
+    return 'invalid';
+  }
+  
+  // Saved anyway, but tell staff what looked wrong
+  const issue = parsed.errors[0] || parsed.warnings[0];
+  if (issue && State.scanMode === 'rapid' && !options.batch) {
+    showToast(issue.message, 'warning');
+  }
+  
+  // Try to match product from master data
+  let match = matchProduct(parsed.gtin14, parsed.gtin13);
+  
+  // If not found and API lookup enabled, try online lookup
+  if (match.type === 'NONE' && parsed.scheme === 'GS1' && State.apiLookupEnabled && navigator.onLine) {
+    if (!options.batch) showToast('Looking up product...', 'info');
+    
+    const apiResult = await lookupProductAPI(parsed.gtin14);
     
-    await html5QrCode.start(
-      cameraId,
-      config,
-      onScanSuccess,
-      onScanError
-    );
+    if (apiResult && apiResult.name) {
+      match = { 
+        name: apiResult.brand ? `${apiResult.brand} ${apiResult.name}` : apiResult.name,
+        type: 'API'
+      };
+      
+      // Save to master data for future use
+      await DB.put('master', { gtin: parsed.gtin14, name: match.name });
+      State.masterData.set(parsed.gtin14, match.name);
+      buildMasterIndex();
+      
+      if (!options.batch) showToast(`Found: ${match.name}`, 'success');
+    }
+  }
+  
+  const entry = {
+    scanTime: new Date().toISOString(),
+    raw: rawCode,
+    symbology: parsed.symbology?.name || CAMERA_FORMATS[options.format] || '',
+    ais: parsed.ais,
+    gtin14: parsed.gtin14,
+    gtin13: parsed.gtin13,
+    expiry: parsed.expiry,
+    expiryDDMMYY: parsed.expiryDDMMYY,
+    expiryFormatted: parsed.expiryFormatted,
+    expiryMonthOnly: parsed.expiryMonthOnly,
+    batch: parsed.batch,
+    serial: parsed.serial,
+    qty: parsed.qty,
+    productName: match.name,
+    matchType: match.type,
+    rms: '',
+    location: State.currentLocation,
+    sessionId: activeSession()?.id ?? null,
+    staff: currentStaff()?.name || ''
+  };
+  
+  // A serialised pack is only ever counted once
+  if (entry.serial) {
+    const counted = await DB.findBySerial(entry.gtin14, entry.serial, entry.sessionId);
+    if (counted) {
+      if (!options.batch) reportDuplicateSerial(entry, counted);
+      return 'duplicate';
+    }
+  }
+  
+  if (State.scanMode === 'confirm' && !options.batch) {
+    openScanConfirm(entry, parsed);
+    return 'pending';
+  }
+  
+  return saveScanEntry(entry, parsed, options.batch);
+}
+
+// Store a scanned entry, merging into an existing GTIN + Batch row
+async function saveScanEntry(entry, parsed, quiet = false) {
+  let outcome;
+  const existingEntry = await DB.findMergeTarget(entry);
+  
+  if (existingEntry) {
+    const before = auditSnapshot(existingEntry);
+    // Increment quantity on existing entry
+    existingEntry.qty = (existingEntry.qty || 1) + entry.qty;
+    existingEntry.scanTime = new Date().toISOString();
+    existingEntry.lastStaff = entry.staff;
+    if (entry.serial) addSerial(existingEntry, entry.serial, existingEntry.scanTime);
     
-    State.scanning = true;
-    updateScannerUI();
-    Haptic.medium();
-    showToast('Scanner started', 'success');
+    await DB.put('history', existingEntry);
     
-  } catch (err) {
-    console.error('Start scanning error:', err);
-    State.scanning = false;
-    updateScannerUI();
+    // Update in-memory state
+    const idx = State.history.findIndex(h => h.id === existingEntry.id);
+    if (idx !== -1) State.history[idx] = existingEntry;
     
-    let message = 'Failed to start scanner';
+    await audit('scan-merge', {
+      target: existingEntry.id,
+      summary: `${describeEntry(existingEntry)}: +${entry.qty} qty (total ${existingEntry.qty})`,
+      before,
+      after: auditSnapshot(existingEntry)
+    });
     
-    if (err.toString().includes('NotAllowedError') || err.toString().includes('Permission')) {
-      message = 'Camera permission denied. Please allow camera access.';
-    } else if (err.toString().includes('NotFoundError')) {
-      message = 'No camera found on this device';
-    } else if (err.toString().includes('NotReadableError')) {
-      message = 'Camera is being used by another app';
-    } else if (err.toString().includes('OverconstrainedError')) {
-      message = 'Camera does not meet requirements';
-    } else if (err.message) {
-      message = err.message;
+    outcome = 'merged';
+    if (!quiet) {
+      Haptic.success();
+      showToast(`+${entry.qty} qty (total: ${existingEntry.qty})`, 'success');
+    }
+  } else {
+    if (entry.serial) addSerial(entry, entry.serial, entry.scanTime);
+    
+    const id = await DB.put('history', entry);
+    entry.id = id;
+    
+    State.history.unshift(entry);
+    
+    await audit('scan', {
+      target: id,
+      summary: `${describeEntry(entry)}: scanned`,
+      after: auditSnapshot(entry)
+    });
+    
+    // A HIBC primary on its own may be followed by its secondary label
+    if (parsed.scheme === 'HIBC' && !entry.batch && !entry.expiry) {
+      State.lastHibcPrimary = { linkChar: hibcCheckChar(parsed.hibc.productId), entryId: id };
     }
     
+    outcome = 'saved';
+    if (!quiet) {
+      Haptic.success();
+      showToast(`Scanned: ${entry.gtin13}`, 'success');
+    }
+  }
+  
+  // Update UI
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  return outcome;
+}
+
+// ============================================
+// SERIALISED PACKS
+// Rows keep every serial they counted (serials) plus
+// 'gtin14|serial' keys for the serialKeys index
+// ============================================
+function addSerial(entry, serial, scanTime) {
+  entry.serials = entry.serials || [];
+  entry.serialKeys = entry.serialKeys || [];
+  if (entry.serials.some(s => s.serial === serial)) return;
+  
+  entry.serials.push({ serial, scanTime });
+  entry.serialKeys.push(`${entry.gtin14}|${serial}`);
+  if (!entry.serial) entry.serial = serial;
+}
+
+function reportDuplicateSerial(entry, counted) {
+  const first = counted.serials?.find(s => s.serial === entry.serial);
+  const when = first ? new Date(first.scanTime).toLocaleString() : 'earlier';
+  const where = [counted.productName || counted.gtin13, counted.batch && `batch ${counted.batch}`]
+    .filter(Boolean).join(', ');
+  
+  Haptic.error();
+  showToast(`Already counted: SN ${entry.serial} first scanned ${when} (${where})`, 'error');
+}
+
+// ============================================
+// CONFIRM BEFORE SAVE (scan result modal)
+// ============================================
+function openScanConfirm(entry, parsed) {
+  const modal = document.getElementById('scanResultModal');
+  if (!modal) return;
+  
+  State.pendingScan = { entry, parsed, matchedName: entry.productName };
+  
+  const subtitles = {
+    EXACT: 'Product found',
+    LAST8: 'Matched on last 8 digits',
+    AMBIG: 'Several products match, check the name',
+    API: 'Found online',
+    NONE: 'Unknown product'
+  };
+  
+  modal.classList.remove('diagnostics');
+  document.getElementById('resultIcon').className = `modal-icon ${entry.matchType === 'NONE' ? 'yellow' : 'teal'}`;
+  document.getElementById('resultTitle').textContent = 'Confirm Scan';
+  const measures = Object.values(parsed.measures || {})
+    .map(m => `${m.title}: ${m.currency ? `${m.currency} ` : ''}${m.value}`);
+  document.getElementById('resultSubtitle').textContent =
+    [subtitles[entry.matchType], ...measures].filter(Boolean).join(' · ');
+  document.getElementById('resultName').value = entry.productName || '';
+  document.getElementById('resultBarcode').textContent = entry.gtin13 || entry.gtin14;
+  document.getElementById('resultBatch').value = entry.batch || '';
+  document.getElementById('resultExpiryInput').value = entry.expiry || '';
+  document.getElementById('resultQty').value = entry.qty || 1;
+  renderResultExpiry(entry);
+  
+  // Parser warnings go in the same list the diagnostics view uses
+  const issues = [...parsed.errors, ...parsed.warnings];
+  const list = document.getElementById('resultIssues');
+  list.textContent = '';
+  issues.forEach(issue => {
+    const li = document.createElement('li');
+    li.className = parsed.errors.includes(issue) ? 'error' : 'warning';
+    li.textContent = formatParseIssue(issue);
+    list.appendChild(li);
+  });
+  modal.classList.toggle('has-issues', issues.length > 0);
+  
+  modal.classList.add('active');
+  Haptic.light();
+}
+
+function renderResultExpiry(entry) {
+  const box = document.getElementById('resultExpiry');
+  const status = expiryStatusOf(entry);
+  box.className = `result-expiry ${status === 'missing' ? '' : status}`;
+  document.getElementById('resultExpiryDate').textContent = entry.expiryFormatted || 'No expiry date';
+}
+
+function onResultExpiryChange(e) {
+  const entry = State.pendingScan?.entry;
+  if (!entry) return;
+  
+  const expiry = e.target.value ? expiryFromISO(e.target.value) : null;
+  entry.expiry = expiry ? expiry.iso : '';
+  entry.expiryDDMMYY = expiry ? expiry.ddmmyy : '';
+  entry.expiryFormatted = expiry ? expiry.formatted : '';
+  entry.expiryMonthOnly = false;
+  renderResultExpiry(entry);
+}
+
+function stepResultQty(delta) {
+  const input = document.getElementById('resultQty');
+  input.value = Math.max(1, (parseInt(input.value) || 1) + delta);
+  Haptic.light();
+}
+
+async function confirmPendingScan() {
+  const pending = State.pendingScan;
+  if (!pending) return;
+  
+  const entry = pending.entry;
+  entry.productName = document.getElementById('resultName').value.trim();
+  entry.batch = document.getElementById('resultBatch').value.trim();
+  entry.qty = parseInt(document.getElementById('resultQty').value) || 1;
+  entry.scanTime = new Date().toISOString();
+  
+  // Closing clears pendingScan, so a second tap can't save it twice
+  closeScanResultModal();
+  
+  // A corrected name is remembered for the next scan of this product
+  if (entry.productName && entry.productName !== pending.matchedName) {
+    await updateMasterFromEdit(entry.gtin14, entry.productName);
+  }
+  
+  await saveScanEntry(entry, pending.parsed);
+}
+
+// ============================================
+// PARSE DIAGNOSTICS
+// ============================================
+
+// Show why a barcode was rejected in the scan result modal
+function showParseDiagnostics(parsed) {
+  const modal = document.getElementById('scanResultModal');
+  if (!modal) return;
+  
+  const issues = [...parsed.errors, ...parsed.warnings];
+  const first = parsed.errors[0] || { pos: null, message: 'Invalid barcode format' };
+  
+  modal.classList.add('diagnostics', 'has-issues');
+  document.getElementById('resultIcon').className = 'modal-icon coral';
+  document.getElementById('resultTitle').textContent = 'Barcode Not Accepted';
+  document.getElementById('resultSubtitle').textContent =
+    [parsed.scheme, parsed.symbology?.name].filter(Boolean).join(' · ');
+  
+  // Raw data with the first problem position highlighted; GS shown as ␝
+  const barcodeEl = document.getElementById('resultBarcode');
+  const shown = (parsed.code || parsed.raw || '').replace(new RegExp(GS, 'g'), '\u241d');
+  barcodeEl.textContent = '';
+  if (first.pos !== null && first.pos < shown.length) {
+    const mark = document.createElement('mark');
+    mark.className = 'issue-mark';
+    mark.textContent = shown[first.pos];
+    barcodeEl.append(shown.substring(0, first.pos), mark, shown.substring(first.pos + 1));
+  } else {
+    barcodeEl.textContent = shown || '-';
+  }
+  
+  const list = document.getElementById('resultIssues');
+  list.textContent = '';
+  (issues.length ? issues : [first]).forEach(issue => {
+    const li = document.createElement('li');
+    li.className = parsed.warnings.includes(issue) ? 'warning' : 'error';
+    li.textContent = formatParseIssue(issue);
+    list.appendChild(li);
+  });
+  
+  modal.classList.add('active');
+  showToast(`Rejected: ${first.message}`, 'error');
+}
+
+function closeScanResultModal() {
+  const modal = document.getElementById('scanResultModal');
+  modal?.classList.remove('active', 'diagnostics', 'has-issues');
+  State.pendingScan = null;
+}
+
+// Per-line paste report as CSV
+function exportPasteReport() {
+  if (State.pasteReport.length === 0) {
+    showToast('No paste report to export', 'warning');
+    return;
+  }
+  
+  const headers = ['LINE', 'STATUS', 'BARCODE', 'GTIN', 'BATCH', 'EXPIRY (DDMMYY)', 'PROBLEMS'];
+  const rows = State.pasteReport.map(r => [
+    r.line,
+    r.status,
+    // Problem positions refer to the cleaned-up code, not the pasted text
+    (r.code || r.raw).replace(new RegExp(GS, 'g'), '<GS>'),
+    r.gtin,
+    r.batch,
+    r.expiry,
+    r.issues.join('; ')
+  ]);
+  
+  const content = [headers, ...rows].map(row =>
+    row.map(cell => `"${String(cell || '').replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+  
+  downloadFile(content, `oasis-paste-report-${formatDateForFile()}.csv`, 'text/csv');
+  
+  Haptic.success();
+  showToast('Report exported', 'success');
+}
+
+function renderPasteReport() {
+  const container = document.getElementById('pasteReport');
+  const list = document.getElementById('pasteReportList');
+  if (!container || !list) return;
+  
+  const problems = State.pasteReport.filter(r => r.issues.length);
+  list.textContent = '';
+  
+  problems.slice(0, 50).forEach(r => {
+    const li = document.createElement('li');
+    li.className = r.status === 'invalid' ? 'error' : 'warning';
+    li.textContent = `Line ${r.line}: ${r.issues.join('; ')}`;
+    list.appendChild(li);
+  });
+  
+  document.getElementById('pasteReportSummary').textContent = problems.length
+    ? `${problems.length} line${problems.length === 1 ? '' : 's'} with problems${problems.length > 50 ? ' (first 50 shown)' : ''}`
+    : 'No problems found';
+  container.classList.add('visible');
+}
+
+// Attach a standalone HIBC secondary (lot/expiry/serial) to the primary
+// scanned just before it, matched by the link character
+async function completeHIBCSecondary(parsed, rawCode) {
+  const pending = State.lastHibcPrimary;
+  const entry = pending && State.history.find(h => h.id === pending.entryId);
+  
+  if (!entry || pending.linkChar !== parsed.hibc.linkChar) {
     Haptic.error();
-    showToast(message, 'error');
-    document.getElementById('browserSupportInfo').style.display = 'block';
+    showToast('HIBC secondary does not match the last primary scanned', 'warning');
+    return 'invalid';
+  }
+  
+  State.lastHibcPrimary = null;
+  
+  // Same product and lot already on record: fold this scan into it
+  const existing = await DB.findMergeTarget({
+    id: entry.id,
+    gtin14: entry.gtin14,
+    batch: parsed.batch,
+    expiry: parsed.expiry,
+    location: entry.location,
+    sessionId: entry.sessionId
+  });
+  
+  const before = auditSnapshot(entry);
+  
+  if (existing) {
+    const existingBefore = auditSnapshot(existing);
+    existing.qty = (existing.qty || 1) + entry.qty;
+    existing.scanTime = new Date().toISOString();
+    existing.lastStaff = currentStaff()?.name || '';
+    if (parsed.serial) addSerial(existing, parsed.serial, existing.scanTime);
+    await DB.put('history', existing);
+    await DB.delete('history', entry.id);
+    await audit('hibc-secondary', {
+      target: existing.id,
+      summary: `${describeEntry(existing)}: merged row ${entry.id} (+${entry.qty} qty)`,
+      before: { merged: before, into: existingBefore },
+      after: auditSnapshot(existing)
+    });
+    
+    State.history = State.history.filter(h => h.id !== entry.id);
+    const idx = State.history.findIndex(h => h.id === existing.id);
+    if (idx !== -1) State.history[idx] = existing;
+    
+    showToast(`+${entry.qty} qty (total: ${existing.qty})`, 'success');
+  } else {
+    entry.raw = `${entry.raw} ${rawCode}`;
+    entry.batch = parsed.batch;
+    if (parsed.serial) addSerial(entry, parsed.serial, entry.scanTime);
+    entry.expiry = parsed.expiry;
+    entry.expiryDDMMYY = parsed.expiryDDMMYY;
+    entry.expiryFormatted = parsed.expiryFormatted;
+    entry.expiryMonthOnly = parsed.expiryMonthOnly;
+    if (parsed.hibc.qty) entry.qty = parsed.hibc.qty;
+    await DB.put('history', entry);
+    await audit('hibc-secondary', {
+      target: entry.id,
+      summary: `${describeEntry(entry)}: lot ${parsed.batch || '-'} added`,
+      before,
+      after: auditSnapshot(entry)
+    });
+    
+    showToast(`Lot ${parsed.batch || '-'} added to ${entry.gtin13}`, 'success');
+  }
+  
+  Haptic.success();
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  return existing ? 'merged' : 'saved';
+}
+
+// ============================================
+// HISTORY MANAGEMENT
+// ============================================
+async function loadHistory() {
+  const data = await DB.getAll('history');
+  State.history = data.sort((a, b) => new Date(b.scanTime) - new Date(a.scanTime));
+  await migrateExpiryDates();
+  await migrateExpiryStatus();
+  State.expiryDay = new Date().toDateString();
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+}
+
+// One-off: entries saved before the GS1 date engine were converted via
+// UTC (a day early in UK summer time) and lost month-only precision
+async function migrateExpiryDates() {
+  const done = await DB.get('settings', 'expiryDatesMigrated');
+  if (done?.value) return;
+  
+  for (const entry of State.history) {
+    const ais = entry.ais || parseGS1(String(entry.raw || '').split(' ')[0]).ais;
+    const ai = ais['17'] ? '17' : '7003';
+    const expiry = ais[ai] ? parseExpiryDate(ais[ai], ai) : null;
+    if (!expiry || (entry.expiry === expiry.iso && entry.expiryDDMMYY === expiry.ddmmyy)) continue;
+    
+    entry.expiry = expiry.iso;
+    entry.expiryDDMMYY = expiry.ddmmyy;
+    entry.expiryFormatted = expiry.formatted;
+    entry.expiryMonthOnly = expiry.monthOnly;
+    await DB.put('history', entry);
   }
+  
+  await saveSetting('expiryDatesMigrated', true);
 }
 
-async function stopScanning() {
-  if (!html5QrCode) {
-    State.scanning = false;
-    updateScannerUI();
+// One-off: rows used to keep the status worked out on the day they
+// were scanned, which went stale; it is now derived from the expiry
+async function migrateExpiryStatus() {
+  const done = await DB.get('settings', 'expiryStatusMigrated');
+  if (done?.value) return;
+  
+  for (const entry of State.history) {
+    if (!('expiryStatus' in entry)) continue;
+    delete entry.expiryStatus;
+    await DB.put('history', entry);
+  }
+  
+  await saveSetting('expiryStatusMigrated', true);
+}
+
+// Redraw everything that shows a status once the date has moved on
+function refreshExpiryStatus() {
+  State.expiryDay = new Date().toDateString();
+  filterHistory();
+  renderRecentScans();
+  renderTrash();
+  if (State.currentPage === 'calendar') renderExpiryCalendar();
+}
+
+function scheduleExpiryRefresh() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 1, 0);
+  clearTimeout(State.expiryTimer);
+  State.expiryTimer = setTimeout(() => {
+    refreshExpiryStatus();
+    scheduleExpiryRefresh();
+  }, midnight - new Date());
+}
+
+function filterHistory() {
+  renderStatusFilters();
+  renderLocationFilters();
+  let filtered = scopedHistory();
+  
+  // Apply status filter
+  if (State.activeFilter !== 'all') {
+    filtered = filtered.filter(h => expiryStatusOf(h) === State.activeFilter);
+  }
+  
+  // Apply location filter
+  if (State.locationFilter !== 'all') {
+    filtered = filtered.filter(h => (h.location || '') === State.locationFilter);
+  }
+  
+  // Apply search query
+  if (State.searchQuery) {
+    const q = State.searchQuery.toLowerCase();
+    filtered = filtered.filter(h =>
+      (h.gtin14 && h.gtin14.includes(q)) ||
+      (h.gtin13 && h.gtin13.includes(q)) ||
+      (h.productName && h.productName.toLowerCase().includes(q)) ||
+      (h.batch && h.batch.toLowerCase().includes(q)) ||
+      (h.rms && h.rms.toLowerCase().includes(q)) ||
+      (h.location && h.location.toLowerCase().includes(q))
+    );
+  }
+  
+  State.filteredHistory = filtered;
+  renderHistory();
+}
+
+function renderHistory() {
+  const container = document.getElementById('historyList');
+  const emptyState = document.getElementById('emptyHistory');
+  
+  if (!container) return;
+  
+  // Remove existing items
+  container.querySelectorAll('.history-item').forEach(el => el.remove());
+  
+  if (State.filteredHistory.length === 0) {
+    if (emptyState) emptyState.style.display = 'block';
     return;
   }
   
-  try {
-    await html5QrCode.stop();
-    console.log('Scanner stopped');
-  } catch (err) {
-    console.log('Stop scanner note:', err);
-  }
+  if (emptyState) emptyState.style.display = 'none';
   
-  State.scanning = false;
-  updateScannerUI();
+  const html = State.filteredHistory.slice(0, 100).map(item => `
+    <div class="history-item ${expiryStatusOf(item)}${State.selectedIds.has(item.id) ? ' selected' : ''}" data-id="${item.id}">
+      ${State.selectionMode ? `
+      <input type="checkbox" class="item-select" data-id="${item.id}" ${State.selectedIds.has(item.id) ? 'checked' : ''} ${isReadOnly(item) ? 'disabled' : ''}>` : ''}
+      <div class="item-content">
+        <div class="item-header">
+          <span class="item-name">${escapeHTML(item.productName || 'Unknown Product')}</span>
+          ${dispositionBadge(item)}
+          <span class="item-qty">×${item.qty || 1}</span>
+        </div>
+        <div class="item-details">
+          <span class="item-detail">
+            <span class="item-detail-label">GTIN:</span>
+            <span class="item-detail-value">${item.gtin13 || '-'}</span>
+          </span>
+          <span class="item-detail">
+            <span class="item-detail-label">Exp:</span>
+            <span class="item-detail-value">${item.expiryFormatted || '-'}</span>
+          </span>
+          <span class="item-detail">
+            <span class="item-detail-label">Batch:</span>
+            <span class="item-detail-value">${escapeHTML(item.batch || '-')}</span>
+          </span>
+          ${item.location ? `
+          <span class="item-detail">
+            <span class="item-detail-label">Loc:</span>
+            <span class="item-detail-value">${escapeHTML(item.location)}</span>
+          </span>` : ''}
+          ${item.staff ? `
+          <span class="item-detail">
+            <span class="item-detail-label">By:</span>
+            <span class="item-detail-value">${escapeHTML(item.staff)}</span>
+          </span>` : ''}
+        </div>
+        ${item.serials?.length ? `
+        <details class="item-serials">
+          <summary>${item.serials.length} serial${item.serials.length === 1 ? '' : 's'}</summary>
+          <div class="item-serial-list">${item.serials.map(s => `<span class="item-serial">${escapeHTML(s.serial)}</span>`).join('')}</div>
+        </details>` : ''}
+      </div>
+      ${isReadOnly(item) ? `
+      <div class="item-actions">
+        <span class="item-action item-locked" title="Closed session: read-only">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+            <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+          </svg>
+        </span>
+      </div>` : `
+      <div class="item-actions">
+        <button class="item-action edit-btn" data-id="${item.id}" title="Edit">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>
+        <button class="item-action delete-btn" data-id="${item.id}" title="Delete">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"/>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+          </svg>
+        </button>
+      </div>`}
+    </div>
+  `).join('');
+  
+  container.insertAdjacentHTML('beforeend', html);
+  
+  updateBulkBar();
+  
+  // Add event listeners
+  container.querySelectorAll('.edit-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const id = parseInt(btn.dataset.id);
+      requestPinThen(() => openEditModal(id), 'edit');
+    });
+  });
+  
+  container.querySelectorAll('.delete-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const id = parseInt(btn.dataset.id);
+      requestPinThen(() => deleteHistoryEntry(id), 'delete');
+    });
+  });
 }
 
-// Scan success callback
-async function onScanSuccess(decodedText, decodedResult) {
-  const now = Date.now();
+function renderRecentScans() {
+  const container = document.getElementById('recentScans');
+  const emptyState = document.getElementById('emptyRecent');
   
-  // Debounce same barcode
-  if (decodedText === State.lastScan.code && now - State.lastScan.time < CONFIG.DEBOUNCE_MS) {
+  if (!container) return;
+  
+  // Remove existing items
+  container.querySelectorAll('.recent-item').forEach(el => el.remove());
+  
+  // Show up to 10 recent items
+  const recent = State.history.slice(0, CONFIG.MAX_RECENT_SCANS);
+  
+  if (recent.length === 0) {
+    if (emptyState) emptyState.style.display = 'block';
     return;
   }
   
-  State.lastScan = { code: decodedText, time: now };
+  if (emptyState) emptyState.style.display = 'none';
   
-  console.log('Scanned:', decodedText);
-  await processScan(decodedText);
+  const html = recent.map(item => {
+    const status = expiryStatusOf(item);
+    return `
+    <div class="recent-item" data-id="${item.id}">
+      <div class="recent-item-icon ${status}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          ${status === 'expired' ? '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>' :
+            status !== 'ok' && status !== 'missing' ? '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>' :
+            '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'}
+        </svg>
+      </div>
+      <div class="recent-item-info">
+        <div class="recent-item-name">${escapeHTML(item.productName || 'Unknown Product')}</div>
+        <div class="recent-item-date">${item.expiryFormatted || 'No expiry'} • Qty: ${item.qty || 1}</div>
+      </div>
+      <span class="recent-item-badge badge-${status}">${escapeHTML(expiryStatusLabel(status))}</span>
+    </div>
+  `;
+  }).join('');
+  
+  container.insertAdjacentHTML('beforeend', html);
 }
 
-// Scan error callback (called every frame when no barcode)
-function onScanError(errorMessage) {
-  // Ignore - this is normal when no barcode in frame
+// Fold a row into the one the merge policy matched it to
+function foldInto(target, row) {
+  target.qty = (target.qty || 1) + (row.qty || 1);
+  (row.serials || []).forEach(sn => addSerial(target, sn.serial, sn.scanTime));
+  if (row.scanTime > target.scanTime) target.scanTime = row.scanTime;
 }
 
-// Switch camera
-async function switchCamera() {
-  Haptic.light();
-  
-  if (availableCameras.length <= 1) {
-    showToast('Only one camera available', 'info');
-    return;
-  }
-  
-  // Cycle to next camera
-  currentCameraIndex = (currentCameraIndex + 1) % availableCameras.length;
-  const cameraName = availableCameras[currentCameraIndex].label || `Camera ${currentCameraIndex + 1}`;
-  
-  if (State.scanning) {
-    await stopScanning();
-    setTimeout(async () => {
-      await startScanning();
-      showToast(`Switched to: ${cameraName}`, 'success');
-    }, 300);
-  } else {
-    showToast(`Will use: ${cameraName}`, 'info');
-  }
+async function deleteHistoryEntry(id) {
+  const entry = State.history.find(h => h.id === id);
+  if (!entry || isReadOnly(entry)) return;
+  const trashIds = await moveToTrash([entry], 'delete');
+  await audit('delete', { target: id, summary: describeEntry(entry), before: auditSnapshot(entry) });
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  Haptic.medium();
+  showToast('Entry moved to trash', 'success', { label: 'Undo', onClick: () => requestPinThen(() => restoreFromTrash(trashIds), 'delete') });
 }
 
-// Update scanner UI
-function updateScannerUI() {
-  const container = document.getElementById('scannerContainer');
-  const hint = document.getElementById('scannerHint');
-  const btnText = document.getElementById('btnScannerText');
-  const fab = document.getElementById('scanFab');
-  const fabIcon = document.getElementById('scanFabIcon');
-  const overlay = document.getElementById('scannerOverlay');
-  
-  if (State.scanning) {
-    container?.classList.add('scanning');
-    fab?.classList.add('scanning');
-    if (hint) hint.textContent = 'Scanning... Point at barcode';
-    if (btnText) btnText.textContent = 'Stop Scanner';
-    if (overlay) overlay.classList.remove('hidden');
-    if (fabIcon) {
-      fabIcon.innerHTML = '<rect x="6" y="6" width="12" height="12" rx="2"/>';
+// ============================================
+// PRODUCT DETAIL
+// Everything counted for one GTIN in the history scope,
+// batches in first-expiry-first-out order
+// ============================================
+function compareFEFO(a, b) {
+  if (!a.expiry !== !b.expiry) return a.expiry ? -1 : 1;
+  return a.expiry.localeCompare(b.expiry) || a.batch.localeCompare(b.batch);
+}
+
+function productSummary(gtin14, history = scopedHistory()) {
+  const rows = history.filter(h => h.gtin14 === gtin14);
+  const batches = new Map();
+  const locations = new Map();
+  const serials = [];
+  const timeline = [];
+  
+  for (const row of rows) {
+    const qty = row.qty || 1;
+    const key = `${row.batch || ''}|${row.expiry || ''}`;
+    if (!batches.has(key)) {
+      batches.set(key, {
+        batch: row.batch || '',
+        expiry: row.expiry || '',
+        expiryFormatted: row.expiryFormatted || '',
+        expiryStatus: expiryStatusOf(row),
+        qty: 0,
+        disposed: 0,
+        locations: new Set()
+      });
     }
-  } else {
-    container?.classList.remove('scanning');
-    fab?.classList.remove('scanning');
-    if (hint) hint.textContent = 'Tap button to start scanning';
-    if (btnText) btnText.textContent = 'Start Scanner';
-    if (overlay) overlay.classList.add('hidden');
-    if (fabIcon) {
-      fabIcon.innerHTML = '<path d="M3 7V5a2 2 0 0 1 2-2h2M17 3h2a2 2 0 0 1 2 2v2M21 17v2a2 2 0 0 1-2 2h-2M7 21H5a2 2 0 0 1-2-2v-2"/><line x1="7" y1="12" x2="17" y2="12"/>';
+    const batch = batches.get(key);
+    batch.qty += qty;
+    // Reduced stock is still on the shelf to sell
+    if (row.disposition && row.disposition.status !== 'reduced') batch.disposed += row.disposition.qty;
+    if (row.location) batch.locations.add(row.location);
+    locations.set(row.location || '', (locations.get(row.location || '') || 0) + qty);
+    
+    const where = [row.batch && `batch ${row.batch}`, row.location].filter(Boolean).join(', ');
+    if (row.serials?.length) {
+      row.serials.forEach(s => {
+        serials.push({ serial: s.serial, batch: row.batch || '', scanTime: s.scanTime });
+        timeline.push({ time: s.scanTime, text: `Scanned SN ${s.serial}${where ? ` (${where})` : ''}` });
+      });
+    } else {
+      timeline.push({ time: row.scanTime, text: `Last scan, ×${qty}${where ? ` (${where})` : ''}${row.lastStaff || row.staff ? ` by ${row.lastStaff || row.staff}` : ''}` });
     }
+    if (row.editedAt) {
+      timeline.push({ time: row.editedAt, text: `Edited${row.editedBy ? ` by ${row.editedBy}` : ''}${where ? ` (${where})` : ''}` });
+    }
+    (row.dispositionLog || []).forEach(d => {
+      timeline.push({ time: d.recordedAt, text: `${DISPOSITIONS[d.status]?.label || d.status} ×${d.qty}${d.staff ? ` by ${d.staff}` : ''}${where ? ` (${where})` : ''}` });
+    });
   }
+  
+  const sorted = [...batches.values()].sort(compareFEFO);
+  // Sell first: the earliest batch that is in date and not disposed of
+  const sellFirst = sorted.find(b => b.expiryStatus !== 'expired' && b.qty > b.disposed);
+  
+  return {
+    rows,
+    totalQty: rows.reduce((sum, r) => sum + (r.qty || 1), 0),
+    batches: sorted.map(b => ({ ...b, locations: [...b.locations], sellFirst: b === sellFirst })),
+    locations: [...locations].map(([name, qty]) => ({ name, qty })).sort((a, b) => b.qty - a.qty),
+    serials: serials.sort((a, b) => a.serial.localeCompare(b.serial)),
+    timeline: timeline.filter(t => t.time).sort((a, b) => b.time.localeCompare(a.time))
+  };
 }
 
-// Scan image file
-async function scanImageFile(file) {
-  if (!file) return;
+function openProductDetail(gtin14) {
+  const summary = productSummary(gtin14);
+  if (!summary.rows.length) return;
+  
+  const first = summary.rows[0];
+  const master = matchProduct(first.gtin14, first.gtin13);
+  document.getElementById('productName').textContent =
+    summary.rows.find(r => r.productName)?.productName || master.name || 'Unknown Product';
+  document.getElementById('productSubtitle').textContent =
+    [first.gtin13, `${summary.rows.length} row${summary.rows.length === 1 ? '' : 's'}`].join(' · ');
+  
+  document.getElementById('productTotalQty').textContent = summary.totalQty;
+  document.getElementById('productBatchCount').textContent = summary.batches.length;
+  document.getElementById('productLocationCount').textContent = summary.locations.filter(l => l.name).length;
+  document.getElementById('productSerialCount').textContent = summary.serials.length;
+  
+  const fill = (id, items, render) => {
+    const list = document.getElementById(id);
+    if (!list) return;
+    list.textContent = '';
+    items.forEach(item => {
+      const li = document.createElement('li');
+      render(li, item);
+      list.appendChild(li);
+    });
+  };
   
-  if (typeof Html5Qrcode === 'undefined') {
-    showToast('Scanner library not loaded', 'error');
-    return;
-  }
+  fill('productBatchList', summary.batches, (li, b) => {
+    li.className = `detail-batch ${b.expiryStatus}${b.sellFirst ? ' sell-first' : ''}`;
+    const text = document.createElement('span');
+    text.textContent = [
+      `Batch ${b.batch || '-'}`,
+      b.expiryFormatted || 'No expiry',
+      b.locations.join(', ')
+    ].filter(Boolean).join(' · ');
+    const qty = document.createElement('strong');
+    qty.textContent = b.disposed ? `×${b.qty} (${b.disposed} disposed)` : `×${b.qty}`;
+    li.append(text, qty);
+    if (b.sellFirst) {
+      const badge = document.createElement('span');
+      badge.className = 'recent-item-badge badge-ok';
+      badge.textContent = 'Sell first';
+      li.appendChild(badge);
+    }
+  });
   
-  showToast('Scanning image...', 'info');
+  fill('productLocationList', summary.locations, (li, l) => {
+    li.textContent = `${l.name || 'No location'} · ×${l.qty}`;
+  });
   
-  try {
-    // Create temporary scanner for file scanning
-    const tempScanner = new Html5Qrcode("temp-scanner");
-    
-    const result = await tempScanner.scanFile(file, /* showImage */ false);
-    
-    console.log('Image scan result:', result);
-    await processScan(result);
-    
-    // Clean up
-    tempScanner.clear();
-    
-  } catch (err) {
-    console.log('Image scan error:', err);
-    
-    if (err.toString().includes('No MultiFormat Readers')) {
-      showToast('No barcode found in image', 'warning');
-    } else {
-      showToast('Could not read barcode from image', 'warning');
-    }
+  const serialSection = document.getElementById('productSerialSection');
+  if (serialSection) serialSection.style.display = summary.serials.length ? '' : 'none';
+  const serialList = document.getElementById('productSerialList');
+  if (serialList) {
+    serialList.textContent = '';
+    summary.serials.forEach(s => {
+      const span = document.createElement('span');
+      span.className = 'item-serial';
+      span.textContent = s.serial;
+      span.title = [s.batch && `Batch ${s.batch}`, new Date(s.scanTime).toLocaleString()].filter(Boolean).join(' · ');
+      serialList.appendChild(span);
+    });
   }
+  
+  fill('productTimeline', summary.timeline, (li, t) => {
+    li.textContent = `${new Date(t.time).toLocaleString()} · ${t.text}`;
+  });
+  
+  const masterName = State.masterData.get(first.gtin14);
+  document.getElementById('productMaster').textContent = masterName
+    ? `${first.gtin14}: ${masterName}`
+    : master.name
+      ? `${master.name} (${master.type} match)`
+      : 'Not in master data';
+  
+  document.getElementById('productModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeProductDetail() {
+  document.getElementById('productModal')?.classList.remove('active');
 }
 
 // ============================================
-// PROCESS SCANNED BARCODE
+// EXPIRY CALENDAR
+// History grouped by expiry: already expired, week by week
+// over the next 90 days, then by month. Undated rows last.
 // ============================================
-async function processScan(rawCode) {
-  const parsed = parseGS1(rawCode);
+const CALENDAR_WEEKS_DAYS = 90;
+
+function expiryBuckets(history, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Weeks start on Monday
+  const weekStart = new Date(today);
+  weekStart.setDate(today.getDate() - (today.getDay() + 6) % 7);
+  const dayMs = 1000 * 60 * 60 * 24;
+  const buckets = new Map();
+  
+  const bucket = (key, props) => {
+    if (!buckets.has(key)) buckets.set(key, { key, ...props, rows: [], qty: 0 });
+    return buckets.get(key);
+  };
   
-  if (!parsed.valid) {
-    Haptic.error();
-    showToast('Invalid barcode format', 'warning');
-    return;
+  for (const row of history) {
+    let target;
+    if (!row.expiry) {
+      target = bucket('missing', { kind: 'missing', label: 'No expiry date', from: null, to: null });
+    } else {
+      const expiry = parseLocalDate(row.expiry);
+      const days = Math.round((expiry - today) / dayMs);
+      if (days < 0) {
+        target = bucket('expired', { kind: 'expired', label: 'Already expired', from: null, to: null });
+      } else if (days <= CALENDAR_WEEKS_DAYS) {
+        const week = Math.floor(Math.round((expiry - weekStart) / dayMs) / 7);
+        const from = new Date(weekStart);
+        from.setDate(weekStart.getDate() + week * 7);
+        const to = new Date(from);
+        to.setDate(from.getDate() + 6);
+        target = bucket(`week-${week}`, {
+          kind: 'week',
+          label: week === 0 ? 'This week' : week === 1 ? 'Next week' : `Week of ${from.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`,
+          from,
+          to
+        });
+      } else {
+        const from = new Date(expiry.getFullYear(), expiry.getMonth(), 1);
+        const month = from.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        // The month the weeks run into only holds what is past them
+        const partial = Math.round((from - today) / dayMs) <= CALENDAR_WEEKS_DAYS;
+        target = bucket(`month-${row.expiry.slice(0, 7)}`, {
+          kind: 'month',
+          label: partial ? `Rest of ${month}` : month,
+          from,
+          to: new Date(expiry.getFullYear(), expiry.getMonth() + 1, 0)
+        });
+      }
+    }
+    target.rows.push(row);
+    target.qty += row.qty || 1;
   }
   
-  // Try to match product from master data
-  let match = matchProduct(parsed.gtin14, parsed.gtin13);
+  const order = { expired: 0, week: 1, month: 2, missing: 3 };
+  return [...buckets.values()]
+    .sort((a, b) => order[a.kind] - order[b.kind] || (a.from && b.from ? a.from - b.from : 0))
+    .map(b => ({ ...b, rows: b.rows.sort((x, y) => x.expiry.localeCompare(y.expiry)) }));
+}
+
+function renderExpiryCalendar() {
+  const container = document.getElementById('calendarList');
+  const emptyState = document.getElementById('emptyCalendar');
+  if (!container) return;
   
-  // If not found and API lookup enabled, try online lookup
-  if (match.type === 'NONE' && State.apiLookupEnabled && navigator.onLine) {
-    showToast('Looking up product...', 'info');
-    
-    const apiResult = await lookupProductAPI(parsed.gtin14);
-    
-    if (apiResult && apiResult.name) {
-      match = { 
-        name: apiResult.brand ? `${apiResult.brand} ${apiResult.name}` : apiResult.name,
-        type: 'API'
-      };
-      
-      // Save to master data for future use
-      await DB.put('master', { gtin: parsed.gtin14, name: match.name });
-      State.masterData.set(parsed.gtin14, match.name);
-      buildMasterIndex();
-      
-      showToast(`Found: ${match.name}`, 'success');
-    }
-  }
+  container.querySelectorAll('.calendar-bucket').forEach(el => el.remove());
   
-  // Check for existing entry with same GTIN + Batch (smart inventory merge)
-  let existingEntry = null;
-  if (parsed.batch) {
-    existingEntry = await DB.findByGtinBatch(parsed.gtin14, parsed.batch);
-  }
+  const buckets = expiryBuckets(scopedHistory());
+  if (emptyState) emptyState.style.display = buckets.length ? 'none' : 'block';
   
-  if (existingEntry) {
-    // Increment quantity on existing entry
-    existingEntry.qty = (existingEntry.qty || 1) + parsed.qty;
-    existingEntry.scanTime = new Date().toISOString();
-    
-    await DB.put('history', existingEntry);
-    
-    // Update in-memory state
-    const idx = State.history.findIndex(h => h.id === existingEntry.id);
-    if (idx !== -1) State.history[idx] = existingEntry;
-    
-    Haptic.success();
-    showToast(`+${parsed.qty} qty (total: ${existingEntry.qty})`, 'success');
-  } else {
-    // Create new entry
-    const entry = {
-      scanTime: new Date().toISOString(),
-      raw: rawCode,
-      gtin14: parsed.gtin14,
-      gtin13: parsed.gtin13,
-      expiry: parsed.expiry,
-      expiryDDMMYY: parsed.expiryDDMMYY,
-      expiryFormatted: parsed.expiryFormatted,
-      expiryStatus: parsed.expiryStatus,
-      batch: parsed.batch,
-      serial: parsed.serial,
-      qty: parsed.qty,
-      productName: match.name,
-      matchType: match.type,
-      rms: ''
-    };
+  const expired = buckets.find(b => b.kind === 'expired')?.rows.length || 0;
+  const upcoming = buckets.filter(b => b.kind === 'week').reduce((n, b) => n + b.rows.length, 0);
+  document.getElementById('calendarSummary').textContent = buckets.length
+    ? `${expired} expired, ${upcoming} in the next ${CALENDAR_WEEKS_DAYS} days`
+    : '';
+  
+  const fmt = date => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  buckets.forEach(b => {
+    const card = document.createElement('div');
+    card.className = `calendar-bucket${State.calendarBucket === b.key ? ' open' : ''}`;
+    card.dataset.key = b.key;
     
-    const id = await DB.put('history', entry);
-    entry.id = id;
+    // Rows are in expiry order: the first is the most urgent
+    const status = expiryStatusOf(b.rows[0]);
+    const head = document.createElement('div');
+    head.className = 'calendar-bucket-head';
+    const title = document.createElement('div');
+    title.className = 'calendar-bucket-title';
+    const name = document.createElement('div');
+    name.className = 'recent-item-name';
+    name.textContent = b.label;
+    const range = document.createElement('div');
+    range.className = 'recent-item-date';
+    range.textContent = b.kind === 'week' ? `${fmt(b.from)} – ${fmt(b.to)}` : `${b.rows.length} row${b.rows.length === 1 ? '' : 's'}`;
+    title.append(name, range);
+    const badge = document.createElement('span');
+    badge.className = `recent-item-badge badge-${status}`;
+    badge.textContent = `${b.rows.length} · ×${b.qty}`;
+    head.append(title, badge);
+    card.appendChild(head);
     
-    State.history.unshift(entry);
+    if (State.calendarBucket === b.key) {
+      const list = document.createElement('ul');
+      list.className = 'detail-list calendar-items';
+      b.rows.forEach(row => {
+        const li = document.createElement('li');
+        li.dataset.gtin = row.gtin14;
+        const text = document.createElement('span');
+        text.textContent = [
+          row.productName || row.gtin13 || 'Unknown Product',
+          row.batch && `Batch ${row.batch}`,
+          row.expiryFormatted,
+          row.location
+        ].filter(Boolean).join(' · ');
+        const qty = document.createElement('strong');
+        qty.textContent = `×${row.qty || 1}`;
+        li.append(text, qty);
+        list.appendChild(li);
+      });
+      card.appendChild(list);
+    }
     
-    Haptic.success();
-    showToast(`Scanned: ${parsed.gtin13}`, 'success');
+    container.appendChild(card);
+  });
+}
+
+// Shelf-sweep sheet: everything expiring this calendar month, by location
+function printExpiringThisMonth() {
+  const now = new Date();
+  const month = localISODate(now.getFullYear(), now.getMonth() + 1, 1).slice(0, 7);
+  const rows = scopedHistory()
+    .filter(h => h.expiry && h.expiry.startsWith(month))
+    .sort((a, b) => (a.location || '').localeCompare(b.location || '') || a.expiry.localeCompare(b.expiry));
+  
+  if (rows.length === 0) {
+    showToast('Nothing expires this month', 'info');
+    return;
   }
   
-  // Update UI
-  filterHistory();
-  renderRecentScans();
-  updateStats();
+  const sheet = document.getElementById('printSheet');
+  if (!sheet) return;
+  sheet.textContent = '';
+  
+  const title = document.createElement('h1');
+  title.textContent = `Expiring ${now.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}`;
+  const meta = document.createElement('p');
+  const session = State.sessions.find(s => String(s.id) === State.sessionScope);
+  meta.textContent = [
+    `Printed ${now.toLocaleString()}`,
+    currentStaff()?.name && `by ${State.currentStaff.name}`,
+    session && `Session: ${session.name}`,
+    `${rows.length} rows, ${rows.reduce((n, r) => n + (r.qty || 1), 0)} packs`
+  ].filter(Boolean).join(' · ');
+  
+  const table = document.createElement('table');
+  const headRow = table.createTHead().insertRow();
+  ['Location', 'Expiry', 'Product', 'GTIN', 'Batch', 'Qty', 'Done'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(r => {
+    const tr = body.insertRow();
+    [r.location || '-', r.expiryFormatted || r.expiry, r.productName || 'Unknown Product', r.gtin13 || r.gtin14, r.batch || '-', r.qty || 1, '☐']
+      .forEach(value => { tr.insertCell().textContent = value; });
+  });
+  
+  sheet.append(title, meta, table);
+  window.print();
 }
 
 // ============================================
-// HISTORY MANAGEMENT
+// TRASH
+// Deleted rows wait here (restorable) until they are
+// deleted for good or pass the retention period
 // ============================================
-async function loadHistory() {
-  const data = await DB.getAll('history');
-  State.history = data.sort((a, b) => new Date(b.scanTime) - new Date(a.scanTime));
-  filterHistory();
-  renderRecentScans();
-  updateStats();
+async function loadTrash() {
+  State.trash = (await DB.getAll('trash')).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  await purgeTrash();
 }
 
-function filterHistory() {
-  let filtered = [...State.history];
+// Take rows out of the history; resolves to their trash ids for Undo
+async function moveToTrash(entries, reason) {
+  const deletedAt = new Date().toISOString();
+  const ids = [];
+  
+  for (const entry of entries) {
+    const record = { entry, deletedAt, deletedBy: currentStaff()?.name || '', reason };
+    record.id = await DB.put('trash', record);
+    await DB.delete('history', entry.id);
+    State.trash.unshift(record);
+    ids.push(record.id);
+  }
   
-  // Apply status filter
-  if (State.activeFilter !== 'all') {
-    filtered = filtered.filter(h => h.expiryStatus === State.activeFilter);
+  const removed = new Set(entries.map(e => e.id));
+  State.history = State.history.filter(h => !removed.has(h.id));
+  updateTrashBadge();
+  return ids;
+}
+
+async function restoreFromTrash(ids) {
+  const records = State.trash.filter(t => ids.includes(t.id));
+  const restored = [];
+  const refused = [];
+  let merged = 0;
+  
+  for (const record of records) {
+    const { id, entry } = record;
+    // Its session may have been deleted meanwhile
+    if (entry.sessionId != null && !State.sessions.some(s => s.id === entry.sessionId)) entry.sessionId = null;
+    
+    // A pack counted again since the delete must not count twice
+    let recounted = null;
+    for (const sn of entry.serials || []) {
+      if (await DB.findBySerial(entry.gtin14, sn.serial, entry.sessionId)) {
+        recounted = sn.serial;
+        break;
+      }
+    }
+    if (recounted) {
+      refused.push(recounted);
+      continue;
+    }
+    
+    // Scanned again since: fold back in as the merge policy would have
+    const target = await DB.findMergeTarget(entry);
+    if (target) {
+      foldInto(target, entry);
+      await DB.put('history', target);
+      const idx = State.history.findIndex(h => h.id === target.id);
+      if (idx !== -1) State.history[idx] = target;
+      merged++;
+    } else {
+      await DB.put('history', entry);
+      State.history.push(entry);
+    }
+    await DB.delete('trash', id);
+    restored.push(record);
   }
   
-  // Apply search query
-  if (State.searchQuery) {
-    const q = State.searchQuery.toLowerCase();
-    filtered = filtered.filter(h =>
-      (h.gtin14 && h.gtin14.includes(q)) ||
-      (h.gtin13 && h.gtin13.includes(q)) ||
-      (h.productName && h.productName.toLowerCase().includes(q)) ||
-      (h.batch && h.batch.toLowerCase().includes(q)) ||
-      (h.rms && h.rms.toLowerCase().includes(q))
-    );
+  State.history.sort((a, b) => new Date(b.scanTime) - new Date(a.scanTime));
+  State.trash = State.trash.filter(t => !restored.includes(t));
+  if (restored.length) {
+    await audit('trash-restore', {
+      summary: (restored.length === 1 ? describeEntry(restored[0].entry) : `${restored.length} rows`) +
+        (merged ? `, ${merged} merged into existing rows` : ''),
+      after: restored.map(r => r.entry.id)
+    });
   }
   
-  State.filteredHistory = filtered;
-  renderHistory();
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  renderTrash();
+  
+  if (refused.length) {
+    Haptic.error();
+    showToast(`Restored ${restored.length}; ${refused.length} kept in trash: SN ${refused.join(', ')} counted again since`, 'warning');
+    return;
+  }
+  Haptic.success();
+  showToast(`Restored ${restored.length} entr${restored.length === 1 ? 'y' : 'ies'}${merged ? ` (${merged} merged)` : ''}`, 'success');
 }
 
-function renderHistory() {
-  const container = document.getElementById('historyList');
-  const emptyState = document.getElementById('emptyHistory');
+async function deleteFromTrash(ids, action = 'trash-delete') {
+  const records = State.trash.filter(t => ids.includes(t.id));
+  if (records.length === 0) return;
+  
+  for (const { id } of records) await DB.delete('trash', id);
+  State.trash = State.trash.filter(t => !ids.includes(t.id));
+  await audit(action, {
+    summary: records.length === 1 ? describeEntry(records[0].entry) : `${records.length} rows`,
+    before: records.map(r => r.entry)
+  });
+  
+  renderTrash();
+  if (action === 'trash-delete') {
+    Haptic.heavy();
+    showToast(`Deleted ${records.length} entr${records.length === 1 ? 'y' : 'ies'} permanently`, 'success');
+  }
+}
+
+// Drop whatever has been in the trash longer than the retention period
+async function purgeTrash() {
+  const cutoff = new Date(Date.now() - State.trashRetentionDays * 86400000).toISOString();
+  const expired = State.trash.filter(t => t.deletedAt < cutoff).map(t => t.id);
+  if (expired.length) await deleteFromTrash(expired, 'trash-purge');
+  updateTrashBadge();
+}
+
+function updateTrashBadge() {
+  const badge = document.getElementById('trashCount');
+  if (badge) badge.textContent = State.trash.length.toLocaleString();
+}
+
+function renderTrash() {
+  const container = document.getElementById('trashList');
+  const emptyState = document.getElementById('emptyTrash');
+  updateTrashBadge();
   
   if (!container) return;
   
-  // Remove existing items
   container.querySelectorAll('.history-item').forEach(el => el.remove());
   
-  if (State.filteredHistory.length === 0) {
+  const hint = document.getElementById('trashHint');
+  if (hint) hint.textContent = `Deleted scans are kept for ${State.trashRetentionDays} days`;
+  
+  if (State.trash.length === 0) {
     if (emptyState) emptyState.style.display = 'block';
     return;
   }
   
   if (emptyState) emptyState.style.display = 'none';
   
-  const html = State.filteredHistory.slice(0, 100).map(item => `
-    <div class="history-item ${item.expiryStatus}" data-id="${item.id}">
+  const reasons = { 'delete': 'Deleted', 'clear': 'Cleared', 'session-delete': 'Session deleted' };
+  const detail = (label, value) => {
+    const span = document.createElement('span');
+    span.className = 'item-detail';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'item-detail-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'item-detail-value';
+    valueEl.textContent = value;
+    span.append(labelEl, valueEl);
+    return span;
+  };
+  
+  // Names, batches and staff are scanned or typed: text only
+  State.trash.slice(0, 100).forEach(({ id, entry, deletedAt, deletedBy, reason }) => {
+    const row = document.createElement('div');
+    row.className = `history-item ${expiryStatusOf(entry)}`;
+    row.innerHTML = `
       <div class="item-content">
         <div class="item-header">
-          <span class="item-name">${item.productName || 'Unknown Product'}</span>
-          <span class="item-qty">×${item.qty || 1}</span>
-        </div>
-        <div class="item-details">
-          <span class="item-detail">
-            <span class="item-detail-label">GTIN:</span>
-            <span class="item-detail-value">${item.gtin13 || '-'}</span>
-          </span>
-          <span class="item-detail">
-            <span class="item-detail-label">Exp:</span>
-            <span class="item-detail-value">${item.expiryFormatted || '-'}</span>
-          </span>
-          <span class="item-detail">
-            <span class="item-detail-label">Batch:</span>
-            <span class="item-detail-value">${item.batch || '-'}</span>
-          </span>
+          <span class="item-name"></span>
+          <span class="item-qty"></span>
         </div>
+        <div class="item-details"></div>
       </div>
       <div class="item-actions">
-        <button class="item-action edit-btn" data-id="${item.id}" title="Edit">
+        <button class="item-action restore-btn" data-trash-id="${id}" title="Restore">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+            <polyline points="1 4 1 10 7 10"/>
+            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>
           </svg>
         </button>
-        <button class="item-action delete-btn" data-id="${item.id}" title="Delete">
+        <button class="item-action delete-btn" data-trash-id="${id}" title="Delete permanently">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="3 6 5 6 21 6"/>
             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
           </svg>
         </button>
       </div>
-    </div>
-  `).join('');
+    `;
+    row.querySelector('.item-name').textContent = entry.productName || 'Unknown Product';
+    row.querySelector('.item-qty').textContent = `×${entry.qty || 1}`;
+    row.querySelector('.item-details').append(
+      detail('GTIN:', entry.gtin13 || '-'),
+      detail('Batch:', entry.batch || '-'),
+      detail(`${reasons[reason] || 'Deleted'}:`, `${new Date(deletedAt).toLocaleString()}${deletedBy ? ` by ${deletedBy}` : ''}`)
+    );
+    container.appendChild(row);
+  });
+}
+
+// ============================================
+// AUDIT TRAIL
+// Append-only record of every change to stored records:
+// who, when, what action, and the values before and after
+// ============================================
+const AUDIT_ACTIONS = {
+  'scan': 'Scan',
+  'scan-merge': 'Scan merged',
+  'paste': 'Paste import',
+  'hibc-secondary': 'HIBC secondary',
+  'edit': 'Edit',
+  'split': 'Split row',
+  'delete': 'Delete',
+  'clear': 'Clear history',
+  'restore': 'Restore backup',
+  'session-close': 'Close session',
+  'session-delete': 'Delete session',
+  'master-replace': 'Replace master data',
+  'master-append': 'Append master data',
+  'disposition': 'Disposition',
+  'expiry-tiers': 'Expiry tiers',
+  'trash-restore': 'Restore from trash',
+  'trash-delete': 'Delete permanently',
+  'trash-purge': 'Trash auto-purge',
+  'staff-save': 'Save staff member',
+  'staff-remove': 'Remove staff member',
+  'pin-lockout': 'PIN lockout'
+};
+
+// Staff identity for the record ('' = nobody signed in)
+function auditStaff() {
+  return currentStaff()?.name || '';
+}
+
+function auditSnapshot(entry) {
+  return JSON.parse(JSON.stringify(entry));
+}
+
+function describeEntry(entry) {
+  return [entry.productName || entry.gtin13 || entry.gtin14, entry.batch && `batch ${entry.batch}`]
+    .filter(Boolean).join(', ');
+}
+
+async function audit(action, { target = null, summary = '', before = null, after = null } = {}) {
+  const record = {
+    uid: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    time: new Date().toISOString(),
+    staff: auditStaff(),
+    action,
+    target,
+    summary,
+    before,
+    after
+  };
   
-  container.insertAdjacentHTML('beforeend', html);
+  try {
+    await DB.put('audit', record);
+  } catch (err) {
+    // Never lose the user's change because the log write failed
+    console.error('Audit write failed:', err);
+  }
+}
+
+async function mergeAuditEntries(entries) {
+  const known = new Set((await DB.getAll('audit')).map(a => a.uid));
+  let added = 0;
+  for (const record of entries) {
+    if (!record.uid || known.has(record.uid)) continue;
+    const { id, ...rest } = record;
+    await DB.put('audit', rest);
+    added++;
+  }
+  return added;
+}
+
+async function filteredAuditLog() {
+  const { from, to, action } = State.auditFilter;
+  const records = await DB.getAll('audit');
+  const dayOf = (time) => {
+    const d = new Date(time);
+    return localISODate(d.getFullYear(), d.getMonth() + 1, d.getDate());
+  };
   
-  // Add event listeners
-  container.querySelectorAll('.edit-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const id = parseInt(btn.dataset.id);
-      requestPinThen(() => openEditModal(id));
+  return records
+    .filter(a => action === 'all' || a.action === action)
+    .filter(a => !from || dayOf(a.time) >= from)
+    .filter(a => !to || dayOf(a.time) <= to)
+    .sort((a, b) => b.time.localeCompare(a.time));
+}
+
+function openAuditModal() {
+  const select = document.getElementById('auditAction');
+  if (select && select.options.length <= 1) {
+    Object.entries(AUDIT_ACTIONS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
     });
+  }
+  
+  renderAuditLog();
+  document.getElementById('auditModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeAuditModal() {
+  document.getElementById('auditModal')?.classList.remove('active');
+}
+
+async function renderAuditLog() {
+  const list = document.getElementById('auditList');
+  if (!list) return;
+  
+  State.auditFilter = {
+    from: document.getElementById('auditFrom')?.value || '',
+    to: document.getElementById('auditTo')?.value || '',
+    action: document.getElementById('auditAction')?.value || 'all'
+  };
+  
+  const records = await filteredAuditLog();
+  list.textContent = '';
+  
+  records.slice(0, 200).forEach(a => {
+    const li = document.createElement('li');
+    li.className = `audit-${a.action}`;
+    const head = document.createElement('div');
+    head.className = 'audit-head';
+    head.textContent = `${new Date(a.time).toLocaleString()} · ${AUDIT_ACTIONS[a.action] || a.action} · ${a.staff || 'Not signed in'}`;
+    const body = document.createElement('div');
+    body.textContent = a.summary;
+    li.append(head, body);
+    list.appendChild(li);
   });
   
-  container.querySelectorAll('.delete-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const id = parseInt(btn.dataset.id);
-      requestPinThen(() => deleteHistoryEntry(id));
-    });
+  document.getElementById('auditSummary').textContent =
+    `${records.length} entr${records.length === 1 ? 'y' : 'ies'}${records.length > 200 ? ' (latest 200 shown)' : ''}`;
+}
+
+async function exportAuditLog() {
+  const records = await filteredAuditLog();
+  if (records.length === 0) {
+    showToast('No audit entries to export', 'warning');
+    return;
+  }
+  
+  const headers = ['TIME', 'STAFF', 'ACTION', 'RECORD', 'SUMMARY', 'BEFORE', 'AFTER'];
+  const rows = records.map(a => [
+    a.time,
+    a.staff,
+    a.action,
+    a.target ?? '',
+    a.summary,
+    a.before == null ? '' : JSON.stringify(a.before),
+    a.after == null ? '' : JSON.stringify(a.after)
+  ]);
+  
+  const content = [headers, ...rows].map(row =>
+    row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+  
+  downloadFile(content, `oasis-audit-${formatDateForFile()}.csv`, 'text/csv');
+  
+  Haptic.success();
+  showToast('Audit trail exported', 'success');
+}
+
+// ============================================
+// BULK ACTIONS (history multi-select)
+// One PIN check covers the whole selection; rows in
+// closed sessions are left alone
+// ============================================
+function setSelectionMode(on) {
+  State.selectionMode = on;
+  State.selectedIds.clear();
+  document.getElementById('btnSelectMode')?.classList.toggle('active', on);
+  renderHistory();
+}
+
+function toggleSelected(id, force) {
+  const entry = State.history.find(h => h.id === id);
+  if (!entry || isReadOnly(entry)) return;
+  const select = force ?? !State.selectedIds.has(id);
+  if (select) State.selectedIds.add(id);
+  else State.selectedIds.delete(id);
+  renderHistory();
+}
+
+// Everything the current filters show, not just the first 100 drawn
+function selectAllFiltered() {
+  const ids = State.filteredHistory.filter(h => !isReadOnly(h)).map(h => h.id);
+  const allSelected = ids.length > 0 && ids.every(id => State.selectedIds.has(id));
+  State.selectedIds = new Set(allSelected ? [] : ids);
+  renderHistory();
+}
+
+function selectedEntries() {
+  return State.history.filter(h => State.selectedIds.has(h.id) && !isReadOnly(h));
+}
+
+function updateBulkBar() {
+  const bar = document.getElementById('bulkBar');
+  if (!bar) return;
+  bar.classList.toggle('visible', State.selectionMode);
+  
+  const count = State.selectedIds.size;
+  document.getElementById('bulkCount').textContent = `${count} selected`;
+  document.querySelectorAll('[data-bulk]').forEach(button => {
+    button.disabled = count === 0;
   });
 }
 
-function renderRecentScans() {
-  const container = document.getElementById('recentScans');
-  const emptyState = document.getElementById('emptyRecent');
+const BULK_ACTIONS = {
+  rms: 'Set RMS',
+  location: 'Set Location',
+  qty: 'Change Quantity',
+  disposition: 'Mark Disposition'
+};
+
+function startBulkAction(action) {
+  const entries = selectedEntries();
+  if (entries.length === 0) return;
   
-  if (!container) return;
+  if (action === 'export') {
+    requestPinThen(() => exportCSV(selectedEntries(), 'oasis-selection'), 'unlock');
+    return;
+  }
+  if (action === 'delete') {
+    requestPinThen(() => applyBulkAction('delete'), 'delete');
+    return;
+  }
   
-  // Remove existing items
-  container.querySelectorAll('.recent-item').forEach(el => el.remove());
+  State.bulkAction = action;
+  document.getElementById('bulkTitle').textContent = BULK_ACTIONS[action];
+  document.getElementById('bulkSubtitle').textContent = `${entries.length} row${entries.length === 1 ? '' : 's'}`;
+  document.querySelectorAll('.bulk-field').forEach(field => {
+    field.style.display = field.dataset.field === action ? '' : 'none';
+  });
   
-  // Show up to 10 recent items
-  const recent = State.history.slice(0, CONFIG.MAX_RECENT_SCANS);
+  if (action === 'location') {
+    const select = document.getElementById('bulkLocation');
+    select.innerHTML = '';
+    [['', 'No location'], ...State.locations.map(l => [l, l])].forEach(([value, label]) => select.add(new Option(label, value)));
+    select.value = State.currentLocation;
+    document.getElementById('bulkLocationNew').value = '';
+  }
+  if (action === 'disposition') {
+    const select = document.getElementById('bulkDisposition');
+    select.innerHTML = '';
+    [['', 'None (clear)'], ...Object.entries(DISPOSITIONS).map(([value, type]) => [value, type.label])]
+      .forEach(([value, label]) => select.add(new Option(label, value)));
+    select.value = 'quarantined';
+    document.getElementById('bulkWitness').value = '';
+    document.getElementById('bulkDetail').value = '';
+    syncDispositionFields('bulk');
+  }
   
-  if (recent.length === 0) {
-    if (emptyState) emptyState.style.display = 'block';
+  document.getElementById('bulkModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeBulkModal() {
+  document.getElementById('bulkModal')?.classList.remove('active');
+  State.bulkAction = null;
+}
+
+// Value from the bulk modal, or null when it isn't usable
+function readBulkValue(action) {
+  switch (action) {
+    case 'rms':
+      return document.getElementById('bulkRms').value.trim();
+    case 'location':
+      return document.getElementById('bulkLocationNew').value.trim() || document.getElementById('bulkLocation').value;
+    case 'qty': {
+      const qty = parseInt(document.getElementById('bulkQty').value);
+      const mode = document.getElementById('bulkQtyMode').value;
+      if (isNaN(qty) || (mode === 'set' && qty < 1)) {
+        showToast('Enter a quantity', 'warning');
+        return null;
+      }
+      return { mode, qty };
+    }
+    case 'disposition': {
+      const status = document.getElementById('bulkDisposition').value;
+      const witness = document.getElementById('bulkWitness').value.trim();
+      const staff = currentStaff()?.name || '';
+      if (DISPOSITIONS[status]?.witness && (!witness || witness.toLowerCase() === staff.toLowerCase())) {
+        showToast('Destruction needs a witness other than you', 'warning');
+        return null;
+      }
+      return { status, witness, detail: document.getElementById('bulkDetail').value.trim() };
+    }
+    default:
+      return null;
+  }
+}
+
+async function applyBulkAction(action, value) {
+  const entries = selectedEntries();
+  if (entries.length === 0) return;
+  
+  if (action === 'delete') {
+    const trashIds = await moveToTrash(entries, 'delete');
+    await audit('delete', { summary: `Bulk: ${entries.length} rows`, before: entries.map(auditSnapshot) });
+    setSelectionMode(false);
+    filterHistory();
+    renderRecentScans();
+    updateStats();
+    Haptic.medium();
+    showToast(`${entries.length} entries moved to trash`, 'success', { label: 'Undo', onClick: () => requestPinThen(() => restoreFromTrash(trashIds), 'delete') });
+    return;
+  }
+  
+  const fields = { rms: ['rms'], location: ['location'], qty: ['qty'], disposition: ['disposition'] }[action];
+  // Signed-in staff can change in the PIN check, so re-check the witness
+  if (action === 'disposition' && DISPOSITIONS[value.status]?.witness &&
+      value.witness.toLowerCase() === (currentStaff()?.name || '').toLowerCase()) {
+    showToast('The witness must be someone else', 'warning');
+    return;
+  }
+  // Dry run on copies: either every row takes the disposition or none does
+  if (action === 'disposition') {
+    const error = entries.map(h => setDisposition({ ...h }, value.status, { witness: value.witness, detail: value.detail })).find(Boolean);
+    if (error) {
+      Haptic.error();
+      showToast(error, 'warning');
+      return;
+    }
+  }
+  const pick = (h) => Object.fromEntries(fields.map(f => [f, h[f] ?? null]));
+  const before = entries.map(h => ({ id: h.id, ...pick(h) }));
+  const now = new Date().toISOString();
+  
+  if (action === 'location') await addLocation(value);
+  const mergedInto = {};
+  
+  for (const selected of entries) {
+    // A fold earlier in the loop may have replaced this row's object
+    const entry = State.history.find(h => h.id === selected.id) || selected;
+    if (action === 'rms') entry.rms = value;
+    if (action === 'location') entry.location = value;
+    if (action === 'qty') entry.qty = Math.max(1, value.mode === 'set' ? value.qty : (entry.qty || 1) + value.qty);
+    if (action === 'disposition') setDisposition(entry, value.status, { witness: value.witness, detail: value.detail });
+    entry.editedBy = currentStaff()?.name || '';
+    entry.editedAt = now;
+    await DB.put('history', entry);
+    
+    // A row moved next to a matching one folds into it, as a scan would
+    if (action === 'location') {
+      const target = await DB.findMergeTarget(entry);
+      if (target) {
+        foldInto(target, entry);
+        await DB.put('history', target);
+        await DB.delete('history', entry.id);
+        State.history = State.history.filter(h => h.id !== entry.id);
+        const idx = State.history.findIndex(h => h.id === target.id);
+        if (idx !== -1) State.history[idx] = target;
+        mergedInto[entry.id] = target.id;
+      }
+    }
+  }
+  
+  await audit(action === 'disposition' ? 'disposition' : 'edit', {
+    summary: `Bulk ${BULK_ACTIONS[action].toLowerCase()}: ${entries.length} rows`,
+    before,
+    after: entries.map(h => ({ id: h.id, ...pick(h), ...(mergedInto[h.id] ? { mergedInto: mergedInto[h.id] } : {}) }))
+  });
+  
+  setSelectionMode(false);
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  Haptic.success();
+  showToast(`Updated ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`, 'success');
+}
+
+// ============================================
+// DISPOSITION
+// What was done about expired or short-dated stock. A row's
+// disposition is its latest action; dispositionLog keeps them all.
+// ============================================
+const DISPOSITIONS = {
+  quarantined: { label: 'Quarantined', detail: 'Note' },
+  returned: { label: 'Returned to supplier', detail: 'Supplier / return ref' },
+  destroyed: { label: 'Destroyed', detail: 'Note', witness: true },
+  reduced: { label: 'Reduced to clear', detail: 'New price' },
+  moved: { label: 'Moved to branch', detail: 'Branch' }
+};
+
+/**
+ * Record a disposition on a row. status '' clears the current one
+ * (the log keeps what was recorded). Returns an error message, or ''.
+ */
+function setDisposition(entry, status, { qty, date, witness = '', detail = '' } = {}) {
+  if (!status) {
+    entry.disposition = null;
+    return '';
+  }
+  
+  const type = DISPOSITIONS[status];
+  const staff = currentStaff()?.name || '';
+  qty = qty || entry.qty || 1;
+  
+  if (qty < 1 || qty > (entry.qty || 1)) return `Quantity must be 1-${entry.qty || 1}`;
+  if (type.witness && !witness) return 'Destruction needs a witness';
+  if (type.witness && staff && witness.toLowerCase() === staff.toLowerCase()) return 'The witness must be someone else';
+  
+  const today = new Date();
+  entry.disposition = {
+    status,
+    date: date || localISODate(today.getFullYear(), today.getMonth() + 1, today.getDate()),
+    qty,
+    staff,
+    witness: type.witness ? witness : '',
+    detail,
+    recordedAt: new Date().toISOString()
+  };
+  entry.dispositionLog = [...(entry.dispositionLog || []), entry.disposition];
+  return '';
+}
+
+// Only known statuses get a badge: restored backups can hold anything
+function dispositionBadge(entry) {
+  const d = entry.disposition;
+  if (!d || !Object.hasOwn(DISPOSITIONS, d.status)) return '';
+  const qty = Number(d.qty) < (entry.qty || 1) ? ` ${escapeHTML(Number(d.qty))}` : '';
+  return `<span class="recent-item-badge disposition-badge disposition-${d.status}">${escapeHTML(DISPOSITIONS[d.status].label)}${qty}</span>`;
+}
+
+function syncDispositionFields(prefix) {
+  const type = DISPOSITIONS[document.getElementById(`${prefix}Disposition`).value];
+  const witnessRow = document.getElementById(`${prefix}WitnessRow`);
+  if (witnessRow) witnessRow.style.display = type?.witness ? '' : 'none';
+  const detailLabel = document.getElementById(`${prefix}DetailLabel`);
+  if (detailLabel) detailLabel.textContent = type?.detail || 'Note';
+}
+
+// Disposition section of the edit modal
+function openDispositionSection(entry) {
+  const section = document.getElementById('editDispositionSection');
+  if (!section) return;
+  
+  section.open = false;
+  const select = document.getElementById('editDisposition');
+  select.innerHTML = '';
+  Object.entries(DISPOSITIONS).forEach(([value, type]) => select.add(new Option(type.label, value)));
+  select.value = entry.disposition?.status || 'quarantined';
+  
+  document.getElementById('editDispositionQty').value = entry.qty || 1;
+  document.getElementById('editDispositionQty').max = entry.qty || 1;
+  document.getElementById('editDispositionDate').value = '';
+  document.getElementById('editWitness').value = '';
+  document.getElementById('editDetail').value = '';
+  
+  const d = entry.disposition;
+  document.getElementById('editDispositionCurrent').textContent = d
+    ? `${DISPOSITIONS[d.status]?.label || d.status} ×${d.qty} on ${d.date}${d.staff ? ` by ${d.staff}` : ''}${d.witness ? `, witness ${d.witness}` : ''}`
+    : 'No disposition recorded';
+  document.getElementById('btnClearDisposition').style.display = d ? '' : 'none';
+  syncDispositionFields('edit');
+}
+
+async function saveDisposition(clear = false) {
+  const entry = State.editingEntry;
+  if (!entry) return;
+  
+  const before = entry.disposition || null;
+  const error = setDisposition(entry, clear ? '' : document.getElementById('editDisposition').value, {
+    qty: parseInt(document.getElementById('editDispositionQty').value),
+    date: document.getElementById('editDispositionDate').value,
+    witness: document.getElementById('editWitness').value.trim(),
+    detail: document.getElementById('editDetail').value.trim()
+  });
+  if (error) {
+    showToast(error, 'warning');
+    return;
+  }
+  
+  entry.editedBy = currentStaff()?.name || '';
+  entry.editedAt = new Date().toISOString();
+  await DB.put('history', entry);
+  await audit('disposition', { target: entry.id, summary: describeEntry(entry), before, after: entry.disposition });
+  
+  filterHistory();
+  closeEditModal();
+  Haptic.success();
+  showToast(clear ? 'Disposition cleared' : `Marked ${DISPOSITIONS[entry.disposition.status].label.toLowerCase()}`, 'success');
+}
+
+// Every recorded disposition in the history scope, as CSV
+function exportDispositionReport() {
+  const rows = scopedHistory().flatMap(h => (h.dispositionLog || []).map(d => [
+    d.date,
+    DISPOSITIONS[d.status]?.label || d.status,
+    h.gtin14 || h.gtin13 || '',
+    h.productName || '',
+    h.batch || '',
+    h.expiryDDMMYY || '',
+    d.qty,
+    d.staff,
+    d.witness,
+    d.detail,
+    h.location || ''
+  ])).sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  
+  if (rows.length === 0) {
+    showToast('No dispositions recorded', 'warning');
     return;
   }
   
-  if (emptyState) emptyState.style.display = 'none';
+  const headers = ['DATE', 'ACTION', 'BARCODE (GTIN)', 'DESCRIPTION', 'BATCH', 'EXPIRY (DDMMYY)', 'QUANTITY', 'STAFF', 'WITNESS', 'DETAIL', 'LOCATION'];
+  const content = [headers, ...rows].map(row =>
+    row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
   
-  const html = recent.map(item => `
-    <div class="recent-item" data-id="${item.id}">
-      <div class="recent-item-icon ${item.expiryStatus}">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          ${item.expiryStatus === 'expired' ? '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>' :
-            item.expiryStatus === 'soon' ? '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>' :
-            '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'}
-        </svg>
-      </div>
-      <div class="recent-item-info">
-        <div class="recent-item-name">${item.productName || 'Unknown Product'}</div>
-        <div class="recent-item-date">${item.expiryFormatted || 'No expiry'} • Qty: ${item.qty || 1}</div>
-      </div>
-      <span class="recent-item-badge badge-${item.expiryStatus}">${item.expiryStatus === 'expired' ? 'Expired' : item.expiryStatus === 'soon' ? 'Soon' : 'OK'}</span>
-    </div>
-  `).join('');
+  downloadFile(content, `oasis-dispositions-${formatDateForFile()}.csv`, 'text/csv');
   
-  container.insertAdjacentHTML('beforeend', html);
-}
-
-async function deleteHistoryEntry(id) {
-  await DB.delete('history', id);
-  State.history = State.history.filter(h => h.id !== id);
-  filterHistory();
-  renderRecentScans();
-  updateStats();
-  Haptic.medium();
-  showToast('Entry deleted', 'success');
+  Haptic.success();
+  showToast('Disposition report exported', 'success');
 }
 
 // ============================================
@@ -1300,11 +5149,23 @@ async function deleteHistoryEntry(id) {
 async function loadMasterData() {
   const data = await DB.getAll('master');
   State.masterData = new Map(data.map(d => [d.gtin, d.name]));
+  State.masterCategories = new Map(data.filter(d => d.category).map(d => [masterKey(d.gtin), d.category]));
   buildMasterIndex();
   updateStats();
 }
 
-function parseMasterFile(content, filename) {
+// Digits only, except HIBC codes ("+LIC PCN UoM", check char optional)
+function normalizeMasterBarcode(value) {
+  const code = value.trim().toUpperCase();
+  if (!/^\+[A-Z]/.test(code)) return code.replace(/[^0-9]/g, '');
+  
+  const hibc = parseHIBC(code);
+  if (hibc.checkValid && hibc.productId) return hibc.productId;
+  return code.replace(/[^A-Z0-9+]/g, '');
+}
+
+// Header row (lower-cased) and data rows of a CSV, TSV or semicolon file
+function readDelimitedFile(content) {
   const lines = content.split(/\r?\n/).filter(l => l.trim());
   
   if (lines.length === 0) {
@@ -1322,11 +5183,21 @@ function parseMasterFile(content, filename) {
     h.trim().toLowerCase().replace(/['"]/g, '')
   );
   
+  return { headers, rows: lines.slice(1).map(line => parseCSVLine(line, delimiter)) };
+}
+
+function parseMasterFile(content, filename) {
+  const { headers, rows } = readDelimitedFile(content);
+  
   // Find barcode and name columns
   const barcodeCol = headers.findIndex(h => 
     ['barcode', 'gtin', 'ean', 'upc', 'code', 'sku', 'item'].some(p => h.includes(p))
   );
-  const nameCol = headers.findIndex(h => 
+  // Optional: storage group or category, for expiry tier overrides
+  const categoryCol = headers.findIndex(h =>
+    ['category', 'group', 'storage'].some(p => h.includes(p))
+  );
+  const nameCol = headers.findIndex((h, i) => i !== categoryCol &&
     ['name', 'product', 'description', 'item', 'title', 'desc'].some(p => h.includes(p))
   );
   
@@ -1339,16 +5210,16 @@ function parseMasterFile(content, filename) {
   
   const products = [];
   
-  for (let i = 1; i < lines.length; i++) {
-    const cols = parseCSVLine(lines[i], delimiter);
-    
+  for (const cols of rows) {
     if (cols.length <= Math.max(barcodeCol, nameCol)) continue;
     
-    const barcode = cols[barcodeCol].replace(/[^0-9]/g, '');
+    const barcode = normalizeMasterBarcode(cols[barcodeCol]);
     const name = cols[nameCol].trim();
     
+    const category = categoryCol === -1 ? '' : (cols[categoryCol] || '').trim();
+    
     if (barcode.length >= 8 && name) {
-      products.push({ gtin: barcode, name });
+      products.push(category ? { gtin: barcode, name, category } : { gtin: barcode, name });
     }
   }
   
@@ -1385,11 +5256,13 @@ async function saveMasterData(products, append = false) {
   if (!append) {
     await DB.clear('master');
     State.masterData.clear();
+    State.masterCategories.clear();
   }
   
   for (const product of products) {
     await DB.put('master', product);
     State.masterData.set(product.gtin, product.name);
+    if (product.category) State.masterCategories.set(masterKey(product.gtin), product.category);
   }
   
   buildMasterIndex();
@@ -1398,61 +5271,264 @@ async function saveMasterData(products, append = false) {
 
 async function updateMasterFromEdit(gtin, name) {
   if (gtin && name) {
-    await DB.put('master', { gtin, name });
+    // Keep the imported category with the new name
+    const category = productCategory(masterKey(gtin));
+    await DB.put('master', category ? { gtin, name, category } : { gtin, name });
     State.masterData.set(gtin, name);
     buildMasterIndex();
   }
 }
 
+// ============================================
+// EXPECTED STOCK & VARIANCE
+// Stock file from the dispensary system (GTIN, batch, expected qty)
+// checked against the scans of one session (see varianceScope)
+// ============================================
+
+// First column matching a pattern, earlier patterns winning
+function findExpectedColumn(headers, patterns, skip = []) {
+  for (const pattern of patterns) {
+    const col = headers.findIndex((h, i) => !skip.includes(i) && h.includes(pattern));
+    if (col !== -1) return col;
+  }
+  return -1;
+}
+
+function parseExpectedStockFile(content) {
+  const { headers, rows } = readDelimitedFile(content);
+  
+  const barcodeCol = findExpectedColumn(headers, ['gtin', 'barcode', 'ean', 'upc', 'code']);
+  const qtyCol = findExpectedColumn(headers, ['expected', 'qty', 'quantity', 'on hand', 'soh', 'stock', 'count'], [barcodeCol]);
+  const batchCol = findExpectedColumn(headers, ['batch', 'lot'], [barcodeCol, qtyCol]);
+  const nameCol = findExpectedColumn(headers, ['description', 'name', 'product', 'desc'], [barcodeCol, qtyCol, batchCol]);
+  
+  if (barcodeCol === -1) {
+    throw new Error('No barcode column found. Expected: GTIN, Barcode, EAN or Code');
+  }
+  if (qtyCol === -1) {
+    throw new Error('No quantity column found. Expected: Expected, Qty or Quantity');
+  }
+  
+  const items = [];
+  
+  for (const cols of rows) {
+    const raw = cols[barcodeCol] || '';
+    const gtin = GTIN.normalize(raw.replace(/[^0-9]/g, ''))?.gtin14 || normalizeMasterBarcode(raw);
+    const qty = parseFloat(String(cols[qtyCol] || '').replace(/[^0-9.-]/g, ''));
+    
+    if (gtin.length < 8 || isNaN(qty)) continue;
+    
+    items.push({
+      gtin,
+      batch: batchCol === -1 ? '' : (cols[batchCol] || '').trim(),
+      qty,
+      name: nameCol === -1 ? '' : (cols[nameCol] || '').trim()
+    });
+  }
+  
+  if (items.length === 0) {
+    throw new Error('No stock lines found in file');
+  }
+  
+  return items;
+}
+
+async function handleExpectedStockFile(file) {
+  try {
+    const items = parseExpectedStockFile(await file.text());
+    State.expectedStock = { filename: file.name, importedAt: new Date().toISOString(), items };
+    await saveSetting('expectedStock', State.expectedStock);
+    renderVarianceReport();
+    
+    Haptic.success();
+    showToast(`Loaded ${items.length} expected stock lines`, 'success');
+  } catch (err) {
+    Haptic.error();
+    showToast(err.message || 'Failed to process file', 'error');
+  }
+}
+
+/**
+ * Expected lines against counted history, keyed by GTIN + batch.
+ * An expected line without a batch takes every batch of its GTIN
+ * that has no line of its own. Status: over, under, missing,
+ * unexpected or match.
+ */
+function buildVarianceReport(expected, history) {
+  const lines = new Map();
+  const keyOf = (gtin, batch) => `${gtin}|${batch}`;
+  
+  for (const e of expected) {
+    const key = keyOf(e.gtin, e.batch);
+    const line = lines.get(key) || { gtin: e.gtin, name: e.name, batch: e.batch, expected: 0, counted: 0 };
+    line.expected += e.qty;
+    lines.set(key, line);
+  }
+  
+  for (const h of history) {
+    const batch = h.batch || '';
+    let line = lines.get(keyOf(h.gtin14, batch)) || lines.get(keyOf(h.gtin14, ''));
+    if (!line) {
+      line = { gtin: h.gtin14, name: '', batch, expected: 0, counted: 0 };
+      lines.set(keyOf(h.gtin14, batch), line);
+    }
+    line.counted += h.qty || 1;
+    if (!line.name) line.name = h.productName || '';
+  }
+  
+  return Array.from(lines.values()).map(line => {
+    let status = 'match';
+    if (line.expected === 0) status = 'unexpected';
+    else if (line.counted === 0) status = 'missing';
+    else if (line.counted > line.expected) status = 'over';
+    else if (line.counted < line.expected) status = 'under';
+    return { ...line, name: line.name || State.masterData.get(line.gtin) || '', variance: line.counted - line.expected, status };
+  });
+}
+
+// A stock file is one stock-take: with all scans picked on the history
+// page, count the open session, else whichever session (or the scans
+// outside sessions) was scanned into last, and say what was left out
+function varianceScope() {
+  if (State.sessionScope !== 'all') {
+    const session = State.sessions.find(s => String(s.id) === State.sessionScope);
+    return { label: session ? session.name : 'Outside sessions', history: scopedHistory() };
+  }
+  
+  const latest = State.history.reduce((a, h) => !a || h.scanTime > a.scanTime ? h : a, null);
+  const id = activeSession()?.id ?? latest?.sessionId ?? null;
+  const history = State.history.filter(h => (h.sessionId ?? null) === id);
+  const session = State.sessions.find(s => s.id === id);
+  const left = State.history.length - history.length;
+  const label = session ? session.name : 'Outside sessions';
+  return {
+    label: left
+      ? `${label} (${left} other row${left === 1 ? '' : 's'} not counted; pick a session on the History page)`
+      : label,
+    history
+  };
+}
+
+function currentVarianceReport() {
+  return State.expectedStock ? buildVarianceReport(State.expectedStock.items, varianceScope().history) : [];
+}
+
+function renderVarianceReport() {
+  const container = document.getElementById('varianceReport');
+  const list = document.getElementById('varianceList');
+  if (!container || !list) return;
+  
+  const source = document.getElementById('expectedStockInfo');
+  if (source) {
+    source.textContent = State.expectedStock
+      ? `${State.expectedStock.filename} · ${State.expectedStock.items.length} lines · ${new Date(State.expectedStock.importedAt).toLocaleDateString()} · Counted: ${varianceScope().label}`
+      : 'No expected stock loaded';
+  }
+  
+  if (!State.expectedStock) {
+    container.classList.remove('visible');
+    return;
+  }
+  
+  const report = currentVarianceReport();
+  const counts = { over: 0, under: 0, missing: 0, unexpected: 0, match: 0 };
+  report.forEach(r => counts[r.status]++);
+  ['over', 'under', 'missing', 'unexpected'].forEach(status => {
+    const el = document.getElementById(`variance-${status}`);
+    if (el) el.textContent = counts[status];
+  });
+  
+  const classes = { over: 'warning', under: 'warning', missing: 'error', unexpected: 'added' };
+  const variances = report.filter(r => r.status !== 'match');
+  list.textContent = '';
+  
+  variances.slice(0, 100).forEach(r => {
+    const li = document.createElement('li');
+    li.className = classes[r.status];
+    const diff = r.variance > 0 ? `+${r.variance}` : r.variance;
+    li.textContent = `${r.status.toUpperCase()}: ${r.name || r.gtin} · Batch ${r.batch || 'any'} · ${r.counted}/${r.expected} (${diff})`;
+    list.appendChild(li);
+  });
+  
+  document.getElementById('varianceSummary').textContent = variances.length
+    ? `${counts.match} lines match, ${variances.length} differ${variances.length > 100 ? ' (first 100 shown)' : ''}`
+    : `All ${counts.match} lines match`;
+  container.classList.add('visible');
+}
+
+function exportVarianceReport() {
+  const report = currentVarianceReport();
+  if (report.length === 0) {
+    showToast('No expected stock loaded', 'warning');
+    return;
+  }
+  
+  const headers = ['STATUS', 'BARCODE (GTIN)', 'DESCRIPTION', 'BATCH', 'EXPECTED', 'COUNTED', 'VARIANCE'];
+  const rows = report.map(r => [r.status.toUpperCase(), r.gtin, r.name, r.batch, r.expected, r.counted, r.variance]);
+  
+  const content = [headers, ...rows].map(row =>
+    row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+  
+  downloadFile(content, `oasis-variance-${formatDateForFile()}.csv`, 'text/csv');
+  
+  Haptic.success();
+  showToast('Variance report exported', 'success');
+}
+
 // ============================================
 // EXPORT FUNCTIONS
 // ============================================
-// Custom header order: RMS | BARCODE (GTIN) | DESCRIPTION | EXPIRY (DDMMYY) | BATCH | QUANTITY
+// Custom header order: RMS | BARCODE (GTIN) | DESCRIPTION | EXPIRY (DDMMYY) | BATCH | QUANTITY | LOCATION | EXPIRY STATUS
 
-function exportTSV() {
-  if (State.history.length === 0) {
+function exportTSV(history = scopedHistory(), stem = exportFileStem()) {
+  if (history.length === 0) {
     showToast('No data to export', 'warning');
     return;
   }
   
-  const headers = ['RMS', 'BARCODE (GTIN)', 'DESCRIPTION', 'EXPIRY (DDMMYY)', 'BATCH', 'QUANTITY'];
-  const rows = State.history.map(h => [
+  const headers = ['RMS', 'BARCODE (GTIN)', 'DESCRIPTION', 'EXPIRY (DDMMYY)', 'BATCH', 'QUANTITY', 'LOCATION', 'EXPIRY STATUS'];
+  const rows = history.map(h => [
     h.rms || '',
     h.gtin14 || h.gtin13 || '',
     h.productName || '',
     h.expiryDDMMYY || '',
     h.batch || '',
-    h.qty || 1
+    h.qty || 1,
+    h.location || '',
+    expiryStatusLabel(expiryStatusOf(h))
   ]);
   
   const content = [headers.join('\t'), ...rows.map(r => r.join('\t'))].join('\n');
-  downloadFile(content, `oasis-export-${formatDateForFile()}.tsv`, 'text/tab-separated-values');
+  downloadFile(content, `${stem}-${formatDateForFile()}.tsv`, 'text/tab-separated-values');
   
   Haptic.success();
   showToast('TSV exported', 'success');
 }
 
-function exportCSV() {
-  if (State.history.length === 0) {
+function exportCSV(history = scopedHistory(), stem = exportFileStem()) {
+  if (history.length === 0) {
     showToast('No data to export', 'warning');
     return;
   }
   
-  const headers = ['RMS', 'BARCODE (GTIN)', 'DESCRIPTION', 'EXPIRY (DDMMYY)', 'BATCH', 'QUANTITY'];
-  const rows = State.history.map(h => [
+  const headers = ['RMS', 'BARCODE (GTIN)', 'DESCRIPTION', 'EXPIRY (DDMMYY)', 'BATCH', 'QUANTITY', 'LOCATION', 'EXPIRY STATUS'];
+  const rows = history.map(h => [
     h.rms || '',
     h.gtin14 || h.gtin13 || '',
     h.productName || '',
     h.expiryDDMMYY || '',
     h.batch || '',
-    h.qty || 1
+    h.qty || 1,
+    h.location || '',
+    expiryStatusLabel(expiryStatusOf(h))
   ]);
   
   const content = [headers, ...rows].map(row =>
     row.map(cell => `"${String(cell || '').replace(/"/g, '""')}"`).join(',')
   ).join('\n');
   
-  downloadFile(content, `oasis-export-${formatDateForFile()}.csv`, 'text/csv');
+  downloadFile(content, `${stem}-${formatDateForFile()}.csv`, 'text/csv');
   
   Haptic.success();
   showToast('CSV exported', 'success');
@@ -1464,9 +5540,22 @@ async function downloadBackup() {
     app: 'OasisPharmacy',
     exportDate: new Date().toISOString(),
     history: State.history,
-    master: Array.from(State.masterData.entries()).map(([gtin, name]) => ({ gtin, name })),
+    sessions: State.sessions,
+    audit: await DB.getAll('audit'),
+    master: Array.from(State.masterData.entries()).map(([gtin, name]) => {
+      const category = productCategory(masterKey(gtin));
+      return category ? { gtin, name, category } : { gtin, name };
+    }),
     settings: {
-      apiLookupEnabled: State.apiLookupEnabled
+      apiLookupEnabled: State.apiLookupEnabled,
+      gsSubstitutes: State.gsSubstitutes,
+      scanMode: State.scanMode,
+      mergePolicy: State.mergePolicy,
+      wedge: State.wedge,
+      locations: State.locations,
+      expectedStock: State.expectedStock,
+      expiryTiers: State.expiryTiers,
+      expiryOverrides: State.expiryOverrides
     }
   };
   
@@ -1489,22 +5578,46 @@ async function restoreBackup(file) {
       throw new Error('Invalid backup file format');
     }
     
+    const before = {
+      history: State.history.length,
+      master: State.masterData.size,
+      sessions: State.sessions.length,
+      rows: backup.history ? State.history.map(auditSnapshot) : []
+    };
+    
     // Restore history
     if (backup.history) {
       await DB.clear('history');
       for (const h of backup.history) {
+        // Older backups: null batch/expiry can't be indexed for merging
+        h.batch = h.batch || '';
+        h.expiry = h.expiry || '';
+        h.location = h.location || '';
+        // Status is derived from the expiry, never restored
+        delete h.expiryStatus;
         await DB.put('history', h);
       }
       State.history = backup.history;
     }
     
+    // Restore sessions
+    if (backup.sessions) {
+      await DB.clear('sessions');
+      for (const session of backup.sessions) await DB.put('sessions', session);
+      State.sessions = backup.sessions;
+      State.sessionScope = 'all';
+      renderSessionBar();
+    }
+    
     // Restore master
     if (backup.master) {
       await DB.clear('master');
       State.masterData.clear();
+      State.masterCategories.clear();
       for (const m of backup.master) {
         await DB.put('master', m);
         State.masterData.set(m.gtin, m.name);
+        if (m.category) State.masterCategories.set(masterKey(m.gtin), m.category);
       }
       buildMasterIndex();
     }
@@ -1513,10 +5626,63 @@ async function restoreBackup(file) {
     if (backup.settings) {
       State.apiLookupEnabled = backup.settings.apiLookupEnabled ?? true;
       syncApiToggle();
+      if (Array.isArray(backup.settings.gsSubstitutes)) {
+        State.gsSubstitutes = backup.settings.gsSubstitutes;
+        await saveSetting('gsSubstitutes', State.gsSubstitutes);
+      }
+      if (MERGE_POLICIES[backup.settings.mergePolicy]) {
+        State.mergePolicy = backup.settings.mergePolicy;
+        await saveSetting('mergePolicy', State.mergePolicy);
+        const mergeSelect = document.getElementById('mergePolicySelect');
+        if (mergeSelect) mergeSelect.value = State.mergePolicy;
+      }
+      if (Array.isArray(backup.settings.locations)) {
+        State.locations = backup.settings.locations;
+        await saveSetting('locations', State.locations);
+        renderLocationSelect();
+      }
+      if (backup.settings.expectedStock) {
+        State.expectedStock = backup.settings.expectedStock;
+        await saveSetting('expectedStock', State.expectedStock);
+      }
+      if (Array.isArray(backup.settings.expiryTiers)) {
+        const tiers = validateTierDraft({
+          tiers: backup.settings.expiryTiers,
+          overrides: backup.settings.expiryOverrides || []
+        });
+        if (typeof tiers === 'string') {
+          showToast(`Expiry tiers not restored: ${tiers}`, 'warning');
+        } else {
+          State.expiryTiers = tiers.tiers;
+          State.expiryOverrides = tiers.overrides;
+          await saveSetting('expiryTiers', State.expiryTiers);
+          await saveSetting('expiryOverrides', State.expiryOverrides);
+          applyExpiryTiers();
+        }
+      }
+      if (backup.settings.wedge) {
+        State.wedge = normalizeWedgeSettings(backup.settings.wedge);
+        await saveWedgeSettings();
+      }
+      if (['rapid', 'confirm'].includes(backup.settings.scanMode)) {
+        State.scanMode = backup.settings.scanMode;
+        await saveSetting('scanMode', State.scanMode);
+        const modeToggle = document.getElementById('toggleConfirmScan');
+        if (modeToggle) modeToggle.checked = State.scanMode === 'confirm';
+      }
     }
     
+    // Audit trail is append-only: add the backup's entries this device lacks
+    const added = Array.isArray(backup.audit) ? await mergeAuditEntries(backup.audit) : 0;
+    await audit('restore', {
+      summary: `${file.name} from ${backup.exportDate || 'unknown date'}${added ? `, ${added} audit entries added` : ''}`,
+      before,
+      after: { history: State.history.length, master: State.masterData.size, sessions: State.sessions.length }
+    });
+    
     filterHistory();
     renderRecentScans();
+    renderVarianceReport();
     updateStats();
     
     Haptic.success();
@@ -1532,21 +5698,48 @@ async function restoreBackup(file) {
 // BULK PASTE PROCESSING
 // ============================================
 async function processPaste() {
-  const textarea = document.getElementById('pasteTextarea');
-  const lines = textarea.value.split('\n').filter(l => l.trim());
+  const textarea = document.getElementById('pasteArea');
+  const lines = textarea.value.split('\n')
+    .map((text, i) => ({ text: text.trim(), lineNo: i + 1 }))
+    .filter(l => l.text);
   
   if (lines.length === 0) {
     showToast('No data to process', 'warning');
     return;
   }
   
-  let total = 0, valid = 0, invalid = 0, merged = 0;
+  let total = 0, valid = 0, invalid = 0, merged = 0, duplicates = 0;
+  let location = State.currentLocation;
+  const changed = { before: [], saved: [], merged: [] };
+  const sessionId = activeSession()?.id ?? null;
+  State.pasteReport = [];
   
-  for (const line of lines) {
+  for (const { text, lineNo } of lines) {
+    const parsed = parseGS1(text);
+    
+    // Location lines apply to the codes below them
+    const lineLocation = locationFromScan(text, parsed);
+    if (lineLocation) {
+      location = lineLocation;
+      await addLocation(location);
+      continue;
+    }
+    
     total++;
-    const parsed = parseGS1(line.trim());
+    const report = {
+      line: lineNo,
+      status: parsed.valid ? 'saved' : 'invalid',
+      raw: text,
+      code: parsed.code,
+      gtin: parsed.gtin14,
+      batch: parsed.batch,
+      expiry: parsed.expiryDDMMYY,
+      issues: [...parsed.errors, ...parsed.warnings].map(formatParseIssue)
+    };
+    State.pasteReport.push(report);
     
     if (!parsed.valid) {
+      if (!report.issues.length) report.issues.push('Invalid barcode format');
       invalid++;
       continue;
     }
@@ -1556,74 +5749,408 @@ async function processPaste() {
     // Match product
     let match = matchProduct(parsed.gtin14, parsed.gtin13);
     
-    // API lookup for unknown products
-    if (match.type === 'NONE' && State.apiLookupEnabled && navigator.onLine) {
-      const apiResult = await lookupProductAPI(parsed.gtin14);
-      if (apiResult && apiResult.name) {
-        match = { name: apiResult.name, type: 'API' };
-        await DB.put('master', { gtin: parsed.gtin14, name: match.name });
-        State.masterData.set(parsed.gtin14, match.name);
-      }
-    }
+    // API lookup for unknown products
+    if (match.type === 'NONE' && parsed.scheme === 'GS1' && State.apiLookupEnabled && navigator.onLine) {
+      const apiResult = await lookupProductAPI(parsed.gtin14);
+      if (apiResult && apiResult.name) {
+        match = { name: apiResult.name, type: 'API' };
+        await DB.put('master', { gtin: parsed.gtin14, name: match.name });
+        State.masterData.set(parsed.gtin14, match.name);
+      }
+    }
+    
+    // Serialised pack counted before: report, don't count
+    if (parsed.serial) {
+      const counted = await DB.findBySerial(parsed.gtin14, parsed.serial, sessionId);
+      if (counted) {
+        report.status = 'duplicate';
+        const first = counted.serials?.find(s => s.serial === parsed.serial);
+        report.issues.push(`Serial ${parsed.serial} already counted ${first ? new Date(first.scanTime).toLocaleString() : 'earlier'}`);
+        duplicates++;
+        continue;
+      }
+    }
+    
+    // Check for existing entry
+    const existing = await DB.findMergeTarget({ ...parsed, location, sessionId });
+    
+    if (existing) {
+      changed.before.push({ id: existing.id, qty: existing.qty || 1 });
+      existing.qty = (existing.qty || 1) + parsed.qty;
+      existing.scanTime = new Date().toISOString();
+      existing.lastStaff = currentStaff()?.name || '';
+      if (parsed.serial) addSerial(existing, parsed.serial, existing.scanTime);
+      await DB.put('history', existing);
+      changed.merged.push({ id: existing.id, qty: existing.qty, line: lineNo });
+      
+      const idx = State.history.findIndex(h => h.id === existing.id);
+      if (idx !== -1) State.history[idx] = existing;
+      
+      report.status = 'merged';
+      merged++;
+    } else {
+      const entry = {
+        scanTime: new Date().toISOString(),
+        raw: text,
+        symbology: parsed.symbology?.name || '',
+        ais: parsed.ais,
+        gtin14: parsed.gtin14,
+        gtin13: parsed.gtin13,
+        expiry: parsed.expiry,
+        expiryDDMMYY: parsed.expiryDDMMYY,
+        expiryFormatted: parsed.expiryFormatted,
+        expiryMonthOnly: parsed.expiryMonthOnly,
+        batch: parsed.batch,
+        serial: parsed.serial,
+        qty: parsed.qty,
+        productName: match.name,
+        matchType: match.type,
+        rms: '',
+        location,
+        sessionId,
+        staff: currentStaff()?.name || ''
+      };
+      if (parsed.serial) addSerial(entry, parsed.serial, entry.scanTime);
+      
+      const id = await DB.put('history', entry);
+      entry.id = id;
+      State.history.unshift(entry);
+      changed.saved.push(auditSnapshot(entry));
+    }
+  }
+  
+  if (changed.saved.length || changed.merged.length) {
+    await audit('paste', {
+      summary: `Pasted ${valid}/${total} lines: ${changed.saved.length} new rows, ${merged} merged`,
+      before: changed.before,
+      after: { saved: changed.saved, merged: changed.merged }
+    });
+  }
+  
+  // Rebuild master index
+  buildMasterIndex();
+  
+  // Show stats
+  const statsEl = document.getElementById('pasteStats');
+  if (statsEl) {
+    statsEl.classList.add('visible');
+    document.getElementById('statTotal').textContent = total;
+    document.getElementById('statValid').textContent = valid;
+    document.getElementById('statInvalid').textContent = invalid;
+    document.getElementById('statMerged').textContent = merged;
+  }
+  renderPasteReport();
+  
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  
+  Haptic.success();
+  showToast(`Processed ${valid}/${total} barcodes${duplicates ? `, ${duplicates} duplicate serials skipped` : ''}`, 'success');
+}
+
+// ============================================
+// STAFF PROFILES
+// PINs are stored as salted PBKDF2 hashes (WebCrypto), never
+// in plain text. Roles rank scanner < supervisor < admin.
+// ============================================
+const Staff = {
+  ROLES: ['scanner', 'supervisor', 'admin'],
+  
+  // Least role each PIN-gated action needs
+  PERMISSIONS: {
+    'unlock': 'scanner',
+    'edit': 'supervisor',
+    'delete': 'supervisor',
+    'session-close': 'supervisor',
+    'expected-import': 'supervisor',
+    'audit': 'supervisor',
+    'master': 'admin',
+    'clear': 'admin',
+    'restore': 'admin',
+    'session-delete': 'admin',
+    'staff': 'admin',
+    'expiry-tiers': 'admin'
+  },
+  
+  async load() {
+    State.staff = (await DB.getAll('staff')).sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  requiredRole(action) {
+    return this.PERMISSIONS[action] || 'admin';
+  },
+  
+  can(member, role) {
+    return !!member && this.ROLES.indexOf(member.role) >= this.ROLES.indexOf(role);
+  },
+  
+  // Just what the rest of the app needs to know about the signed-in member
+  publicProfile(member) {
+    return { id: member.id, name: member.name, role: member.role };
+  },
+  
+  async hashPin(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, key, 256);
+    return bytesToBase64(new Uint8Array(bits));
+  },
+  
+  // Create or update a profile; a new PIN gets a new salt
+  async save({ id, name, role, pin }) {
+    const member = id ? { ...State.staff.find(s => s.id === id) } : { failedAttempts: 0, lockedUntil: 0 };
+    member.name = name;
+    member.role = role;
+    
+    if (pin) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      member.salt = bytesToBase64(salt);
+      member.iterations = CONFIG.PIN_HASH_ITERATIONS;
+      member.hash = await this.hashPin(pin, salt, member.iterations);
+      member.failedAttempts = 0;
+      member.lockedUntil = 0;
+    }
+    
+    member.id = await DB.put('staff', member);
+    await this.load();
+    return member;
+  },
+  
+  async remove(id) {
+    await DB.delete('staff', id);
+    await this.load();
+  },
+  
+  lockedMinutes(member) {
+    return Math.max(0, Math.ceil((member.lockedUntil - Date.now()) / 60000));
+  },
+  
+  /**
+   * Check a PIN against a profile. Resolves to 'ok', 'wrong' or
+   * 'locked'; the profile locks for PIN_LOCKOUT_MINUTES after
+   * PIN_MAX_ATTEMPTS wrong PINs in a row.
+   */
+  async verify(member, pin) {
+    if (member.lockedUntil > Date.now()) return 'locked';
+    
+    const hash = await this.hashPin(pin, base64ToBytes(member.salt), member.iterations);
+    if (hash === member.hash) {
+      member.failedAttempts = 0;
+      member.lockedUntil = 0;
+      await DB.put('staff', member);
+      return 'ok';
+    }
+    
+    member.failedAttempts = (member.failedAttempts || 0) + 1;
+    if (member.failedAttempts >= CONFIG.PIN_MAX_ATTEMPTS) {
+      member.failedAttempts = 0;
+      member.lockedUntil = Date.now() + CONFIG.PIN_LOCKOUT_MINUTES * 60000;
+      await DB.put('staff', member);
+      await audit('pin-lockout', { target: member.id, summary: `${member.name} locked for ${CONFIG.PIN_LOCKOUT_MINUTES} min` });
+      return 'locked';
+    }
+    await DB.put('staff', member);
+    return 'wrong';
+  }
+};
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// The signed-in member, or null once the PIN window has closed:
+// nobody is stamped on scans and edits after they walk away
+function currentStaff() {
+  if (State.currentStaff && isPinRequired()) {
+    State.currentStaff = null;
+    renderStaffChip();
+  }
+  return State.currentStaff;
+}
+
+// An install that was in use under the shared PIN: whoever creates
+// the first admin profile must know that PIN
+function needsLegacyPin() {
+  return State.staff.length === 0 &&
+    (State.history.length > 0 || State.masterData.size > 0 || State.sessions.length > 0);
+}
+
+// Same 'ok' / 'wrong' / 'locked' answers and lockout as Staff.verify
+async function verifyLegacyPin(pin) {
+  const setting = await DB.get('settings', 'legacyPinAttempts');
+  const attempts = { failedAttempts: 0, lockedUntil: 0, ...(setting?.value || {}) };
+  if (attempts.lockedUntil > Date.now()) return 'locked';
+  if (pin === CONFIG.LEGACY_PIN) {
+    await saveSetting('legacyPinAttempts', { failedAttempts: 0, lockedUntil: 0 });
+    return 'ok';
+  }
+  
+  attempts.failedAttempts++;
+  if (attempts.failedAttempts >= CONFIG.PIN_MAX_ATTEMPTS) {
+    attempts.failedAttempts = 0;
+    attempts.lockedUntil = Date.now() + CONFIG.PIN_LOCKOUT_MINUTES * 60000;
+    await saveSetting('legacyPinAttempts', attempts);
+    await audit('pin-lockout', { summary: `Shared PIN locked for ${CONFIG.PIN_LOCKOUT_MINUTES} min` });
+    return 'locked';
+  }
+  await saveSetting('legacyPinAttempts', attempts);
+  return 'wrong';
+}
+
+function signOut() {
+  State.currentStaff = null;
+  State.lastPinTime = 0;
+  renderStaffChip();
+  showToast('Signed out', 'info');
+}
+
+function renderStaffChip() {
+  const chip = document.getElementById('btnStaffSignIn');
+  if (!chip) return;
+  chip.textContent = State.currentStaff ? `${State.currentStaff.name} · Sign out` : 'Sign in';
+  chip.classList.toggle('signed-in', !!State.currentStaff);
+}
+
+// Staff manager; with no profiles yet it creates the first admin
+function openStaffModal(setupCallback = null) {
+  State.staffSetupCallback = setupCallback;
+  const setup = State.staff.length === 0;
+  
+  document.getElementById('staffSubtitle').textContent = setup
+    ? (needsLegacyPin()
+      ? 'Enter the old shared PIN and create the first admin profile'
+      : 'Create the first admin profile to protect edits and uploads')
+    : `${State.staff.length} staff member${State.staff.length === 1 ? '' : 's'}`;
+  
+  const roleSelect = document.getElementById('staffRole');
+  if (roleSelect) {
+    roleSelect.value = setup ? 'admin' : 'scanner';
+    roleSelect.disabled = setup;
+  }
+  document.getElementById('staffName').value = '';
+  document.getElementById('staffPin').value = '';
+  document.getElementById('staffLegacyPin').value = '';
+  document.getElementById('staffLegacyPinRow').style.display = needsLegacyPin() ? '' : 'none';
+  
+  renderStaffList();
+  document.getElementById('staffModal')?.classList.add('active');
+  Haptic.light();
+}
+
+function closeStaffModal() {
+  document.getElementById('staffModal')?.classList.remove('active');
+  State.staffSetupCallback = null;
+}
+
+function renderStaffList() {
+  const list = document.getElementById('staffList');
+  if (!list) return;
+  list.textContent = '';
+  
+  const admins = State.staff.filter(s => s.role === 'admin').length;
+  
+  State.staff.forEach(member => {
+    const li = document.createElement('li');
+    li.className = 'staff-row';
+    
+    const name = document.createElement('span');
+    name.className = 'staff-name';
+    name.textContent = member.lockedUntil > Date.now()
+      ? `${member.name} (locked ${Staff.lockedMinutes(member)} min)`
+      : member.name;
+    
+    const role = document.createElement('select');
+    role.className = 'form-input';
+    Staff.ROLES.forEach(r => role.add(new Option(r, r, false, r === member.role)));
+    role.disabled = member.role === 'admin' && admins === 1;
+    role.addEventListener('change', () => saveStaffRole(member.id, role.value));
     
-    // Check for existing entry
-    let existing = null;
-    if (parsed.batch) {
-      existing = await DB.findByGtinBatch(parsed.gtin14, parsed.batch);
-    }
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-secondary';
+    remove.textContent = 'Remove';
+    remove.disabled = member.role === 'admin' && admins === 1;
+    remove.addEventListener('click', () => removeStaffMember(member.id));
     
-    if (existing) {
-      existing.qty = (existing.qty || 1) + parsed.qty;
-      existing.scanTime = new Date().toISOString();
-      await DB.put('history', existing);
-      
-      const idx = State.history.findIndex(h => h.id === existing.id);
-      if (idx !== -1) State.history[idx] = existing;
-      
-      merged++;
-    } else {
-      const entry = {
-        scanTime: new Date().toISOString(),
-        raw: line.trim(),
-        gtin14: parsed.gtin14,
-        gtin13: parsed.gtin13,
-        expiry: parsed.expiry,
-        expiryDDMMYY: parsed.expiryDDMMYY,
-        expiryFormatted: parsed.expiryFormatted,
-        expiryStatus: parsed.expiryStatus,
-        batch: parsed.batch,
-        serial: parsed.serial,
-        qty: parsed.qty,
-        productName: match.name,
-        matchType: match.type,
-        rms: ''
-      };
-      
-      const id = await DB.put('history', entry);
-      entry.id = id;
-      State.history.unshift(entry);
-    }
+    li.append(name, role, remove);
+    list.appendChild(li);
+  });
+}
+
+async function saveStaffMember() {
+  const name = document.getElementById('staffName').value.trim();
+  const role = document.getElementById('staffRole').value;
+  const pin = document.getElementById('staffPin').value;
+  
+  if (!name) {
+    showToast('Enter a name', 'warning');
+    return;
+  }
+  if (!/^\d{4}$/.test(pin)) {
+    showToast('PIN must be 4 digits', 'warning');
+    return;
   }
   
-  // Rebuild master index
-  buildMasterIndex();
+  if (needsLegacyPin()) {
+    const legacy = document.getElementById('staffLegacyPin');
+    const result = await verifyLegacyPin(legacy.value);
+    legacy.value = '';
+    if (result !== 'ok') {
+      Haptic.error();
+      showToast(result === 'locked' ? 'Shared PIN locked, try again later' : 'Enter the old shared PIN to create the first admin', 'error');
+      return;
+    }
+  }
   
-  // Show stats
-  const statsEl = document.getElementById('pasteStats');
-  if (statsEl) {
-    statsEl.classList.add('visible');
-    document.getElementById('statTotal').textContent = total;
-    document.getElementById('statValid').textContent = valid;
-    document.getElementById('statInvalid').textContent = invalid;
-    document.getElementById('statMerged').textContent = merged;
+  // Same name: change that member's PIN and role
+  const existing = State.staff.find(s => s.name.toLowerCase() === name.toLowerCase());
+  const lastAdmin = existing?.role === 'admin' && role !== 'admin' && State.staff.filter(s => s.role === 'admin').length === 1;
+  if (lastAdmin) {
+    showToast('Keep at least one admin', 'warning');
+    return;
   }
   
-  filterHistory();
-  renderRecentScans();
-  updateStats();
+  const member = await Staff.save({ id: existing?.id, name, role, pin });
+  await audit('staff-save', { target: member.id, summary: `${name} (${role})${existing ? ', PIN changed' : ''}` });
+  
+  // First admin: signed straight in, then on to what they were doing
+  const callback = State.staffSetupCallback;
+  if (callback || !State.currentStaff) {
+    State.currentStaff = Staff.publicProfile(member);
+    State.lastPinTime = Date.now();
+    renderStaffChip();
+  }
   
   Haptic.success();
-  showToast(`Processed ${valid}/${total} barcodes`, 'success');
+  showToast(`${name} saved`, 'success');
+  
+  if (callback) {
+    closeStaffModal();
+    callback();
+  } else {
+    openStaffModal();
+  }
+}
+
+async function saveStaffRole(id, role) {
+  const member = State.staff.find(s => s.id === id);
+  if (!member) return;
+  await Staff.save({ id, name: member.name, role });
+  await audit('staff-save', { target: id, summary: `${member.name} role ${member.role} → ${role}` });
+  if (State.currentStaff?.id === id) State.currentStaff.role = role;
+  renderStaffList();
+}
+
+async function removeStaffMember(id) {
+  const member = State.staff.find(s => s.id === id);
+  if (!member) return;
+  await Staff.remove(id);
+  await audit('staff-remove', { target: id, summary: `${member.name} (${member.role})` });
+  if (State.currentStaff?.id === id) signOut();
+  openStaffModal();
 }
 
 // ============================================
@@ -1637,17 +6164,44 @@ function isPinRequired() {
   return elapsed >= CONFIG.PIN_TIMEOUT_MINUTES;
 }
 
-// Request PIN only if timeout has passed
-function requestPinThen(callback) {
-  if (!isPinRequired()) {
+// Request PIN only if timeout has passed and the signed-in
+// member's role covers the action (see Staff.PERMISSIONS)
+function requestPinThen(callback, action = 'unlock') {
+  if (State.staff.length === 0) {
+    openStaffModal(callback);
+    return;
+  }
+  
+  const role = Staff.requiredRole(action);
+  if (!isPinRequired() && Staff.can(State.currentStaff, role)) {
     // PIN still valid, execute callback directly
     if (callback) callback();
     return;
   }
   
+  openPinModal(callback, role);
+}
+
+function openPinModal(callback, role = 'scanner') {
+  const eligible = State.staff.filter(s => Staff.can(s, role));
+  if (eligible.length === 0) {
+    showToast(`Needs a ${role}`, 'warning');
+    return;
+  }
+  
   State.pinCallback = callback;
+  State.pinRole = role;
   State.pinInput = '';
   updatePinDisplay();
+  
+  const select = document.getElementById('pinStaffSelect');
+  if (select) {
+    select.innerHTML = '';
+    eligible.forEach(s => select.add(new Option(s.name, s.id)));
+    if (eligible.some(s => s.id === State.currentStaff?.id)) select.value = State.currentStaff.id;
+  }
+  setPinMessage(role === 'scanner' ? 'Enter your 4-digit PIN to continue' : `Needs ${role} or above`);
+  
   document.getElementById('pinModal')?.classList.add('active');
   
   // Focus hidden input for keyboard support
@@ -1705,24 +6259,41 @@ function handlePinKey(key) {
   }
 }
 
-function verifyPin() {
+async function verifyPin() {
   if (State.pinInput.length === 0) return;
   
-  if (State.pinInput === CONFIG.PIN) {
+  const id = parseInt(document.getElementById('pinStaffSelect')?.value);
+  const member = State.staff.find(s => s.id === id);
+  if (!member) return;
+  
+  const pin = State.pinInput;
+  State.pinInput = '';
+  const result = await Staff.verify(member, pin);
+  
+  if (result === 'ok') {
     Haptic.success();
     State.lastPinTime = Date.now();
+    State.currentStaff = Staff.publicProfile(member);
+    renderStaffChip();
     const callback = State.pinCallback;
     closePinModal();
     if (callback) callback();
   } else {
     Haptic.error();
     showPinError();
-    State.pinInput = '';
+    setPinMessage(result === 'locked'
+      ? `${member.name} is locked for ${Staff.lockedMinutes(member)} min`
+      : `Wrong PIN (${CONFIG.PIN_MAX_ATTEMPTS - member.failedAttempts} tries left)`);
     updatePinDisplay();
     syncHiddenInput();
   }
 }
 
+function setPinMessage(text) {
+  const subtitle = document.getElementById('pinSubtitle');
+  if (subtitle) subtitle.textContent = text;
+}
+
 function syncHiddenInput() {
   const hiddenInput = document.getElementById('pinHiddenInput');
   if (hiddenInput) {
@@ -1763,18 +6334,88 @@ function showPinError() {
 // ============================================
 function openEditModal(id) {
   const entry = State.history.find(h => h.id === id);
-  if (!entry) return;
+  if (!entry || isReadOnly(entry)) return;
   
   State.editingEntry = entry;
   
   document.getElementById('editName').value = entry.productName || '';
   document.getElementById('editQty').value = entry.qty || 1;
   document.getElementById('editRms').value = entry.rms || '';
+  document.getElementById('editSubtitle').textContent =
+    [entry.gtin13, entry.batch && `Batch ${entry.batch}`, entry.expiryFormatted].filter(Boolean).join(' · ');
+  
+  // Split section starts from the row's own batch and expiry
+  const splitSection = document.getElementById('editSplitSection');
+  if (splitSection) {
+    splitSection.open = false;
+    splitSection.style.display = (entry.qty || 1) > 1 ? '' : 'none';
+    document.getElementById('editSplitQty').value = 1;
+    document.getElementById('editSplitQty').max = (entry.qty || 1) - 1;
+    document.getElementById('editSplitBatch').value = entry.batch || '';
+    document.getElementById('editSplitExpiry').value = entry.expiry || '';
+  }
+  
+  openDispositionSection(entry);
   
   document.getElementById('editModal')?.classList.add('active');
   Haptic.light();
 }
 
+// Move part of a row's quantity (and its latest serials) to a new row
+async function splitEntry() {
+  const entry = State.editingEntry;
+  if (!entry) return;
+  
+  const qty = parseInt(document.getElementById('editSplitQty').value);
+  if (!(qty >= 1 && qty < (entry.qty || 1))) {
+    showToast(`Split between 1 and ${(entry.qty || 1) - 1}`, 'warning');
+    return;
+  }
+  
+  const part = { ...entry, qty, scanTime: new Date().toISOString() };
+  delete part.id;
+  
+  part.batch = document.getElementById('editSplitBatch').value.trim();
+  const expiryIso = document.getElementById('editSplitExpiry').value;
+  if (expiryIso !== (entry.expiry || '')) {
+    const expiry = expiryIso ? expiryFromISO(expiryIso) : null;
+    part.expiry = expiry ? expiry.iso : '';
+    part.expiryDDMMYY = expiry ? expiry.ddmmyy : '';
+    part.expiryFormatted = expiry ? expiry.formatted : '';
+    part.expiryMonthOnly = false;
+  }
+  
+  if (entry.serials?.length) {
+    const moved = entry.serials.slice(-Math.min(qty, entry.serials.length));
+    entry.serials = entry.serials.slice(0, entry.serials.length - moved.length);
+    part.serials = moved;
+    [entry, part].forEach(row => {
+      row.serialKeys = row.serials.map(s => `${row.gtin14}|${s.serial}`);
+      row.serial = row.serials[0]?.serial || '';
+    });
+  }
+  
+  const before = { qty: entry.qty, serials: (entry.serials || []).map(s => s.serial) };
+  entry.qty -= qty;
+  await DB.put('history', entry);
+  part.id = await DB.put('history', part);
+  State.history.unshift(part);
+  await audit('split', {
+    target: entry.id,
+    summary: `${describeEntry(entry)}: ${qty} moved to row ${part.id}`,
+    before,
+    after: { qty: entry.qty, newRow: auditSnapshot(part) }
+  });
+  
+  filterHistory();
+  renderRecentScans();
+  updateStats();
+  closeEditModal();
+  
+  Haptic.success();
+  showToast(`Split ${qty} to a new row`, 'success');
+}
+
 function closeEditModal() {
   document.getElementById('editModal')?.classList.remove('active');
   State.editingEntry = null;
@@ -1784,11 +6425,20 @@ async function saveEdit() {
   if (!State.editingEntry) return;
   
   const entry = State.editingEntry;
+  const before = { productName: entry.productName, qty: entry.qty, rms: entry.rms };
   entry.productName = document.getElementById('editName').value.trim();
   entry.qty = parseInt(document.getElementById('editQty').value) || 1;
   entry.rms = document.getElementById('editRms').value.trim();
+  entry.editedBy = currentStaff()?.name || '';
+  entry.editedAt = new Date().toISOString();
   
   await DB.put('history', entry);
+  await audit('edit', {
+    target: entry.id,
+    summary: describeEntry(entry),
+    before,
+    after: { productName: entry.productName, qty: entry.qty, rms: entry.rms }
+  });
   
   // Also update master data with product name
   if (entry.productName && entry.gtin14) {
@@ -1810,7 +6460,8 @@ async function saveEdit() {
 // ============================================
 // UI HELPERS
 // ============================================
-function showToast(message, type = 'info') {
+// action: optional { label, onClick } button, e.g. Undo
+function showToast(message, type = 'info', action = null) {
   const container = document.getElementById('toastContainer');
   if (!container) return;
   
@@ -1827,8 +6478,21 @@ function showToast(message, type = 'info') {
     <svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       ${icons[type] || icons.info}
     </svg>
-    <span class="toast-text">${message}</span>
+    <span class="toast-text"></span>
   `;
+  // Messages carry scanned text (location labels, names)
+  toast.querySelector('.toast-text').textContent = message;
+  
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
   
   container.appendChild(toast);
   
@@ -1836,7 +6500,7 @@ function showToast(message, type = 'info') {
     toast.style.opacity = '0';
     toast.style.transform = 'translateY(-16px)';
     setTimeout(() => toast.remove(), 300);
-  }, 2500);
+  }, action ? 6000 : 2500);
 }
 
 function switchPage(pageName) {
@@ -1863,6 +6527,12 @@ function switchPage(pageName) {
   });
   
   State.currentPage = pageName;
+  currentStaff();  // Drops a sign-in whose PIN window has closed from the chip
+  
+  // Counts may have changed since the report was drawn
+  if (pageName === 'master') renderVarianceReport();
+  if (pageName === 'trash') renderTrash();
+  if (pageName === 'calendar') renderExpiryCalendar();
 }
 
 function openMenu() {
@@ -1925,6 +6595,12 @@ function syncApiToggle() {
   if (menu) menu.checked = State.apiLookupEnabled;
 }
 
+// Scanned and typed text going into lists built as HTML strings
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 function downloadFile(content, filename, mimeType) {
   const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
@@ -1950,6 +6626,49 @@ async function loadSettings() {
     const apiSetting = await DB.get('settings', 'apiLookupEnabled');
     State.apiLookupEnabled = apiSetting?.value ?? true;
     syncApiToggle();
+    
+    const mergeSetting = await DB.get('settings', 'mergePolicy');
+    if (MERGE_POLICIES[mergeSetting?.value]) State.mergePolicy = mergeSetting.value;
+    const mergeSelect = document.getElementById('mergePolicySelect');
+    if (mergeSelect) mergeSelect.value = State.mergePolicy;
+    
+    const modeSetting = await DB.get('settings', 'scanMode');
+    State.scanMode = modeSetting?.value === 'confirm' ? 'confirm' : 'rapid';
+    const modeToggle = document.getElementById('toggleConfirmScan');
+    if (modeToggle) modeToggle.checked = State.scanMode === 'confirm';
+    
+    const cameraSetting = await DB.get('settings', 'cameraControls');
+    State.cameraControls = cameraSetting?.value || {};
+    
+    const wedgeSetting = await DB.get('settings', 'wedge');
+    State.wedge = normalizeWedgeSettings(wedgeSetting?.value);
+    syncWedgeSettingsUI();
+    
+    const retentionSetting = await DB.get('settings', 'trashRetentionDays');
+    State.trashRetentionDays = retentionSetting?.value || CONFIG.TRASH_RETENTION_DAYS;
+    const retentionInput = document.getElementById('trashRetentionInput');
+    if (retentionInput) retentionInput.value = State.trashRetentionDays;
+    
+    const tiersSetting = await DB.get('settings', 'expiryTiers');
+    if (Array.isArray(tiersSetting?.value)) State.expiryTiers = tiersSetting.value;
+    const overridesSetting = await DB.get('settings', 'expiryOverrides');
+    State.expiryOverrides = overridesSetting?.value || [];
+    applyExpiryTiers();
+    
+    const expectedSetting = await DB.get('settings', 'expectedStock');
+    State.expectedStock = expectedSetting?.value || null;
+    renderVarianceReport();
+    
+    const locationsSetting = await DB.get('settings', 'locations');
+    State.locations = locationsSetting?.value || [];
+    const currentLocationSetting = await DB.get('settings', 'currentLocation');
+    State.currentLocation = currentLocationSetting?.value || '';
+    renderLocationSelect();
+    
+    const gsSetting = await DB.get('settings', 'gsSubstitutes');
+    if (Array.isArray(gsSetting?.value)) State.gsSubstitutes = gsSetting.value;
+    const gsInput = document.getElementById('gsSubstitutesInput');
+    if (gsInput) gsInput.value = State.gsSubstitutes.join(' ');
   } catch (e) {
     console.log('Settings not found, using defaults');
   }
@@ -1959,6 +6678,11 @@ async function saveSetting(key, value) {
   await DB.put('settings', { key, value });
 }
 
+// "~ ^ <GS>" -> ['~', '^', '<GS>']
+function parseGsSubstitutes(text) {
+  return Array.from(new Set(String(text || '').split(/[\s,]+/).filter(Boolean)));
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -2033,20 +6757,64 @@ function initEventListeners() {
   });
   
   // Manual entry
-  document.getElementById('btnManualAdd')?.addEventListener('click', () => {
-    const input = document.getElementById('manualInput');
+  document.getElementById('btnManualSubmit')?.addEventListener('click', () => {
+    const input = document.getElementById('manualBarcode');
     if (input && input.value.trim()) {
       processScan(input.value.trim());
       input.value = '';
     }
   });
   
-  document.getElementById('manualInput')?.addEventListener('keypress', (e) => {
+  document.getElementById('manualBarcode')?.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
-      document.getElementById('btnManualAdd')?.click();
+      document.getElementById('btnManualSubmit')?.click();
     }
   });
   
+  // Keyboard wedge scanner
+  document.addEventListener('keydown', (e) => Wedge.onKeydown(e), true);
+  document.addEventListener('keyup', (e) => Wedge.onKeyup(e), true);
+  
+  document.getElementById('toggleWedge')?.addEventListener('change', (e) => {
+    State.wedge.enabled = e.target.checked;
+    saveWedgeSettings();
+    showToast(State.wedge.enabled ? 'Keyboard scanner listening on every page' : 'Keyboard scanner off', 'info');
+  });
+  
+  document.getElementById('wedgeMaxGap')?.addEventListener('change', (e) => {
+    State.wedge.maxGapMs = Math.min(200, Math.max(10, parseInt(e.target.value) || CONFIG.WEDGE.maxGapMs));
+    saveWedgeSettings();
+  });
+  
+  document.getElementById('wedgePrefix')?.addEventListener('change', (e) => {
+    State.wedge.prefix = e.target.value;
+    saveWedgeSettings();
+  });
+  
+  document.getElementById('wedgeSuffix')?.addEventListener('change', (e) => {
+    State.wedge.suffix = e.target.value;
+    saveWedgeSettings();
+  });
+  
+  document.getElementById('wedgeTerminator')?.addEventListener('change', (e) => {
+    State.wedge.terminators = e.target.value.split(',').map(s => s.trim()).filter(Boolean);
+    saveWedgeSettings();
+  });
+  
+  document.getElementById('btnWedgeUseTiming')?.addEventListener('click', () => {
+    if (!State.wedgeSuggestedGap) return;
+    State.wedge.maxGapMs = State.wedgeSuggestedGap;
+    saveWedgeSettings();
+    showToast(`Key timing set to ${State.wedge.maxGapMs} ms`, 'success');
+  });
+  
+  // Group separator substitutes
+  document.getElementById('gsSubstitutesInput')?.addEventListener('change', (e) => {
+    State.gsSubstitutes = parseGsSubstitutes(e.target.value);
+    e.target.value = State.gsSubstitutes.join(' ');
+    saveSetting('gsSubstitutes', State.gsSubstitutes);
+  });
+  
   // Image upload
   document.getElementById('btnUploadImage')?.addEventListener('click', () => {
     document.getElementById('imageFileInput')?.click();
@@ -2060,35 +6828,164 @@ function initEventListeners() {
     e.target.value = '';
   });
   
+  // Image scan picker
+  document.getElementById('imageScanModal')?.addEventListener('change', onImageScanToggle);
+  document.getElementById('btnImageScanCancel')?.addEventListener('click', closeImageScanModal);
+  document.getElementById('btnImageScanSave')?.addEventListener('click', saveImageScanSelection);
+  
   // Switch camera
   document.getElementById('btnSwitchCamera')?.addEventListener('click', switchCamera);
   
+  // Camera controls
+  document.getElementById('btnTorch')?.addEventListener('click', () => CameraControls.toggleTorch());
+  document.getElementById('btnCameraControls')?.addEventListener('click', () => {
+    document.getElementById('cameraControls')?.classList.toggle('visible');
+    CameraControls.render();
+  });
+  document.getElementById('cameraZoom')?.addEventListener('input', (e) => {
+    CameraControls.setZoom(parseFloat(e.target.value));
+  });
+  document.getElementById('cameraFocusMode')?.addEventListener('change', (e) => {
+    CameraControls.setFocusMode(e.target.value);
+  });
+  document.getElementById('cameraFocusDistance')?.addEventListener('input', (e) => {
+    CameraControls.setFocusDistance(parseFloat(e.target.value));
+  });
+  document.getElementById('cameraResolution')?.addEventListener('change', (e) => {
+    CameraControls.setResolution(e.target.value);
+  });
+  
   // Search
   document.getElementById('searchInput')?.addEventListener('input', (e) => {
     State.searchQuery = e.target.value;
     filterHistory();
   });
   
-  // Filter chips
-  document.querySelectorAll('.filter-chip').forEach(chip => {
-    chip.addEventListener('click', () => {
-      Haptic.light();
-      document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
-      chip.classList.add('active');
-      State.activeFilter = chip.dataset.filter;
-      filterHistory();
-    });
+  // Status filter tabs (one per expiry tier)
+  document.getElementById('statusFilters')?.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-tab[data-filter]');
+    if (!chip) return;
+    Haptic.light();
+    State.activeFilter = chip.dataset.filter;
+    filterHistory();
+  });
+  
+  // Location filter tabs (rendered from the history)
+  document.getElementById('locationFilters')?.addEventListener('click', (e) => {
+    const tab = e.target.closest('.filter-tab');
+    if (!tab) return;
+    Haptic.light();
+    State.locationFilter = tab.dataset.location;
+    filterHistory();
+  });
+  
+  // Stock-take sessions
+  document.getElementById('btnSessionToggle')?.addEventListener('click', () => {
+    if (activeSession()) {
+      requestPinThen(closeSession, 'session-close');
+    } else {
+      document.getElementById('sessionNewRow')?.classList.toggle('visible');
+      document.getElementById('sessionNewName')?.focus();
+    }
+  });
+  
+  document.getElementById('btnStartSession')?.addEventListener('click', () => {
+    const input = document.getElementById('sessionNewName');
+    startSession(input?.value.trim());
+    if (input) input.value = '';
+  });
+  
+  document.getElementById('sessionNewName')?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') document.getElementById('btnStartSession')?.click();
+  });
+  
+  document.getElementById('sessionScopeSelect')?.addEventListener('change', (e) => {
+    State.sessionScope = e.target.value;
+    renderSessionBar();
+    filterHistory();
+  });
+  
+  document.getElementById('btnDeleteSession')?.addEventListener('click', () => {
+    requestPinThen(() => deleteSession(parseInt(State.sessionScope)), 'session-delete');
+  });
+  
+  document.getElementById('btnCompareSessions')?.addEventListener('click', openCompareModal);
+  document.getElementById('compareFrom')?.addEventListener('change', renderSessionComparison);
+  document.getElementById('compareTo')?.addEventListener('change', renderSessionComparison);
+  document.getElementById('btnExportComparison')?.addEventListener('click', exportSessionComparison);
+  document.getElementById('btnCloseCompare')?.addEventListener('click', closeCompareModal);
+  document.getElementById('btnCloseProduct')?.addEventListener('click', closeProductDetail);
+  
+  // Expiry calendar: tap a bucket for its rows, a row for the product
+  document.getElementById('calendarList')?.addEventListener('click', (e) => {
+    const item = e.target.closest('li[data-gtin]');
+    if (item) {
+      openProductDetail(item.dataset.gtin);
+      return;
+    }
+    const card = e.target.closest('.calendar-bucket');
+    if (!card) return;
+    Haptic.light();
+    State.calendarBucket = State.calendarBucket === card.dataset.key ? null : card.dataset.key;
+    renderExpiryCalendar();
+  });
+  document.getElementById('btnPrintMonth')?.addEventListener('click', printExpiringThisMonth);
+  
+  // Expiry tiers
+  document.getElementById('btnExpiryTiers')?.addEventListener('click', () => {
+    requestPinThen(openTiersModal, 'expiry-tiers');
+  });
+  document.getElementById('btnAddTier')?.addEventListener('click', addExpiryTier);
+  document.getElementById('btnAddOverride')?.addEventListener('click', addExpiryOverride);
+  document.getElementById('btnSaveTiers')?.addEventListener('click', saveExpiryTiers);
+  document.getElementById('btnCloseTiers')?.addEventListener('click', closeTiersModal);
+  
+  document.getElementById('recentScans')?.addEventListener('click', (e) => {
+    const row = e.target.closest('.recent-item');
+    const entry = row && State.history.find(h => h.id === parseInt(row.dataset.id));
+    if (entry) openProductDetail(entry.gtin14);
+  });
+  
+  // Current location
+  document.getElementById('locationSelect')?.addEventListener('change', (e) => {
+    const newRow = document.getElementById('locationNewRow');
+    if (e.target.value === '__new') {
+      newRow?.classList.add('visible');
+      document.getElementById('locationNewName')?.focus();
+      return;
+    }
+    newRow?.classList.remove('visible');
+    setCurrentLocation(e.target.value);
+  });
+  
+  document.getElementById('btnAddLocation')?.addEventListener('click', () => {
+    const input = document.getElementById('locationNewName');
+    const name = input?.value.trim();
+    if (!name) return;
+    input.value = '';
+    document.getElementById('locationNewRow')?.classList.remove('visible');
+    setCurrentLocation(name);
+    showToast(`Location: ${name}`, 'info');
+  });
+  
+  document.getElementById('locationNewName')?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') document.getElementById('btnAddLocation')?.click();
   });
   
   // Paste processing
   document.getElementById('btnProcessPaste')?.addEventListener('click', processPaste);
   
   document.getElementById('btnClearPaste')?.addEventListener('click', () => {
-    const textarea = document.getElementById('pasteTextarea');
+    const textarea = document.getElementById('pasteArea');
     if (textarea) textarea.value = '';
     document.getElementById('pasteStats')?.classList.remove('visible');
+    document.getElementById('pasteReport')?.classList.remove('visible');
+    State.pasteReport = [];
   });
   
+  document.getElementById('btnExportPasteReport')?.addEventListener('click', exportPasteReport);
+
+  
   // Menu
   document.getElementById('menuBtn')?.addEventListener('click', openMenu);
   document.getElementById('menuOverlay')?.addEventListener('click', closeMenu);
@@ -2103,14 +7000,14 @@ function initEventListeners() {
         input.dataset.mode = 'replace';
         input.click();
       }
-    });
+    }, 'master');
   });
   
   document.getElementById('menuAppendMaster')?.addEventListener('click', () => {
     closeMenu();
     requestPinThen(() => {
       document.getElementById('appendFileInput')?.click();
-    });
+    }, 'master');
   });
   
   // Master page buttons
@@ -2121,13 +7018,13 @@ function initEventListeners() {
         input.dataset.mode = 'replace';
         input.click();
       }
-    });
+    }, 'master');
   });
   
   document.getElementById('btnAppendMaster')?.addEventListener('click', () => {
     requestPinThen(() => {
       document.getElementById('appendFileInput')?.click();
-    });
+    }, 'master');
   });
   
   // Upload zone
@@ -2140,7 +7037,7 @@ function initEventListeners() {
           input.dataset.mode = 'replace';
           input.click();
         }
-      });
+      }, 'master');
     });
     
     uploadZone.addEventListener('dragover', (e) => {
@@ -2157,7 +7054,7 @@ function initEventListeners() {
       uploadZone.classList.remove('dragover');
       const file = e.dataTransfer?.files?.[0];
       if (file) {
-        requestPinThen(() => handleMasterFile(file, false));
+        requestPinThen(() => handleMasterFile(file, false), 'master');
       }
     });
   }
@@ -2172,6 +7069,74 @@ function initEventListeners() {
     e.target.value = '';
   });
   
+  // Expected stock
+  document.getElementById('btnImportExpected')?.addEventListener('click', () => {
+    requestPinThen(() => {
+      document.getElementById('expectedFileInput')?.click();
+    }, 'expected-import');
+  });
+  
+  document.getElementById('expectedFileInput')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (file) await handleExpectedStockFile(file);
+    e.target.value = '';
+  });
+  
+  document.getElementById('btnExportVariance')?.addEventListener('click', exportVarianceReport);
+  
+  // Trash
+  document.getElementById('btnOpenTrash')?.addEventListener('click', () => switchPage('trash'));
+  document.getElementById('btnEmptyTrash')?.addEventListener('click', () => {
+    if (State.trash.length === 0) return;
+    requestPinThen(() => deleteFromTrash(State.trash.map(t => t.id)), 'delete');
+  });
+  document.getElementById('trashList')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-trash-id]');
+    if (!button) return;
+    const id = parseInt(button.dataset.trashId);
+    if (button.classList.contains('restore-btn')) requestPinThen(() => restoreFromTrash([id]), 'delete');
+    else requestPinThen(() => deleteFromTrash([id]), 'delete');
+  });
+  // A shorter retention purges straight away, so it needs the delete role
+  document.getElementById('trashRetentionInput')?.addEventListener('change', (e) => {
+    const days = Math.min(365, Math.max(1, parseInt(e.target.value) || CONFIG.TRASH_RETENTION_DAYS));
+    e.target.value = State.trashRetentionDays;
+    requestPinThen(async () => {
+      State.trashRetentionDays = days;
+      e.target.value = days;
+      await saveSetting('trashRetentionDays', days);
+      await purgeTrash();
+    }, 'delete');
+  });
+  
+  // Staff
+  document.getElementById('btnStaff')?.addEventListener('click', () => {
+    requestPinThen(() => openStaffModal(), 'staff');
+  });
+  document.getElementById('btnSaveStaff')?.addEventListener('click', saveStaffMember);
+  document.getElementById('btnCloseStaff')?.addEventListener('click', closeStaffModal);
+  document.getElementById('btnStaffSignIn')?.addEventListener('click', () => {
+    if (State.currentStaff) signOut();
+    else if (State.staff.length === 0) openStaffModal(() => {});
+    else openPinModal(null);
+  });
+  document.getElementById('pinStaffSelect')?.addEventListener('change', () => {
+    State.pinInput = '';
+    updatePinDisplay();
+    syncHiddenInput();
+    document.getElementById('pinHiddenInput')?.focus();
+  });
+  
+  // Audit trail
+  document.getElementById('btnAuditTrail')?.addEventListener('click', () => {
+    requestPinThen(openAuditModal, 'audit');
+  });
+  ['auditFrom', 'auditTo', 'auditAction'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', renderAuditLog);
+  });
+  document.getElementById('btnExportAudit')?.addEventListener('click', exportAuditLog);
+  document.getElementById('btnCloseAudit')?.addEventListener('click', closeAuditModal);
+  
   document.getElementById('appendFileInput')?.addEventListener('change', async (e) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -2191,6 +7156,64 @@ function initEventListeners() {
     exportCSV();
   });
   
+  // History multi-select
+  document.getElementById('btnSelectMode')?.addEventListener('click', () => setSelectionMode(!State.selectionMode));
+  document.getElementById('btnBulkDone')?.addEventListener('click', () => setSelectionMode(false));
+  document.getElementById('btnBulkSelectAll')?.addEventListener('click', selectAllFiltered);
+  document.querySelectorAll('[data-bulk]').forEach(button => {
+    button.addEventListener('click', () => startBulkAction(button.dataset.bulk));
+  });
+  document.getElementById('btnBulkCancel')?.addEventListener('click', closeBulkModal);
+  document.getElementById('btnBulkApply')?.addEventListener('click', () => {
+    const action = State.bulkAction;
+    const value = readBulkValue(action);
+    if (value === null) return;
+    closeBulkModal();
+    requestPinThen(() => applyBulkAction(action, value), 'edit');
+  });
+  
+  const historyList = document.getElementById('historyList');
+  if (historyList) {
+    let pressTimer = null;
+    let longPressed = false;
+    
+    // Long-press a row to start selecting
+    historyList.addEventListener('pointerdown', (e) => {
+      const row = e.target.closest('.history-item');
+      if (!row || e.target.closest('button')) return;
+      longPressed = false;
+      pressTimer = setTimeout(() => {
+        longPressed = true;
+        Haptic.medium();
+        if (!State.selectionMode) setSelectionMode(true);
+        toggleSelected(parseInt(row.dataset.id), true);
+      }, 500);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel', 'pointermove'].forEach(type => {
+      historyList.addEventListener(type, (e) => {
+        if (type === 'pointermove' && Math.abs(e.movementX) + Math.abs(e.movementY) < 4) return;
+        clearTimeout(pressTimer);
+      });
+    });
+    
+    historyList.addEventListener('click', (e) => {
+      const row = e.target.closest('.history-item');
+      if (!row || e.target.closest('button, details')) return;
+      if (!State.selectionMode) {
+        const entry = State.history.find(h => h.id === parseInt(row.dataset.id));
+        if (entry) openProductDetail(entry.gtin14);
+        return;
+      }
+      if (longPressed) {
+        longPressed = false;
+        e.preventDefault();
+        return;
+      }
+      e.preventDefault();
+      toggleSelected(parseInt(row.dataset.id));
+    });
+  }
+  
   // Backup
   document.getElementById('menuBackup')?.addEventListener('click', () => {
     closeMenu();
@@ -2201,7 +7224,7 @@ function initEventListeners() {
     closeMenu();
     requestPinThen(() => {
       document.getElementById('restoreFileInput')?.click();
-    });
+    }, 'restore');
   });
   
   document.getElementById('restoreFileInput')?.addEventListener('change', async (e) => {
@@ -2214,14 +7237,21 @@ function initEventListeners() {
   document.getElementById('menuClearHistory')?.addEventListener('click', () => {
     closeMenu();
     requestPinThen(async () => {
-      await DB.clear('history');
-      State.history = [];
+      // Closed sessions are read-only: only deleting the session removes them
+      const kept = State.history.filter(isReadOnly);
+      const removed = State.history.filter(h => !isReadOnly(h));
+      const trashIds = await moveToTrash(removed, 'clear');
+      await audit('clear', {
+        summary: `${removed.length} rows removed${kept.length ? `, ${kept.length} in closed sessions kept` : ''}`,
+        before: removed.map(auditSnapshot)
+      });
       filterHistory();
       renderRecentScans();
       updateStats();
       Haptic.heavy();
-      showToast('History cleared', 'success');
-    });
+      showToast(kept.length ? `History cleared (closed sessions kept)` : 'History cleared', 'success',
+        { label: 'Undo', onClick: () => requestPinThen(() => restoreFromTrash(trashIds), 'delete') });
+    }, 'clear');
   });
   
   // API Toggle - sync both checkboxes
@@ -2237,6 +7267,20 @@ function initEventListeners() {
     saveSetting('apiLookupEnabled', State.apiLookupEnabled);
   });
   
+  // Merge policy
+  document.getElementById('mergePolicySelect')?.addEventListener('change', (e) => {
+    State.mergePolicy = e.target.value;
+    saveSetting('mergePolicy', State.mergePolicy);
+    showToast(`Repeat scans merge by ${MERGE_POLICIES[State.mergePolicy].label}`, 'info');
+  });
+  
+  // Scan mode: rapid (instant save) or confirm (result modal)
+  document.getElementById('toggleConfirmScan')?.addEventListener('change', (e) => {
+    State.scanMode = e.target.checked ? 'confirm' : 'rapid';
+    saveSetting('scanMode', State.scanMode);
+    showToast(State.scanMode === 'confirm' ? 'Confirm each scan before saving' : 'Rapid mode: scans save instantly', 'info');
+  });
+  
   // PIN pad
   document.querySelectorAll('.pin-key').forEach(key => {
     key.addEventListener('click', () => {
@@ -2269,6 +7313,19 @@ function initEventListeners() {
   // Edit modal
   document.getElementById('editCancel')?.addEventListener('click', closeEditModal);
   document.getElementById('editSave')?.addEventListener('click', saveEdit);
+  document.getElementById('btnSplitRow')?.addEventListener('click', splitEntry);
+  document.getElementById('editDisposition')?.addEventListener('change', () => syncDispositionFields('edit'));
+  document.getElementById('btnSaveDisposition')?.addEventListener('click', () => saveDisposition());
+  document.getElementById('btnClearDisposition')?.addEventListener('click', () => saveDisposition(true));
+  document.getElementById('bulkDisposition')?.addEventListener('change', () => syncDispositionFields('bulk'));
+  document.getElementById('btnDispositionReport')?.addEventListener('click', exportDispositionReport);
+  
+  // Scan result modal
+  document.getElementById('btnCancelScan')?.addEventListener('click', closeScanResultModal);
+  document.getElementById('btnSaveScan')?.addEventListener('click', confirmPendingScan);
+  document.getElementById('btnQtyMinus')?.addEventListener('click', () => stepResultQty(-1));
+  document.getElementById('btnQtyPlus')?.addEventListener('click', () => stepResultQty(1));
+  document.getElementById('resultExpiryInput')?.addEventListener('change', onResultExpiryChange);
   
   // Close modals on overlay click
   document.getElementById('editModal')?.addEventListener('click', (e) => {
@@ -2279,8 +7336,43 @@ function initEventListeners() {
     if (e.target.id === 'pinModal') closePinModal();
   });
   
+  document.getElementById('scanResultModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'scanResultModal') closeScanResultModal();
+  });
+  
+  document.getElementById('compareModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'compareModal') closeCompareModal();
+  });
+  
+  document.getElementById('productModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'productModal') closeProductDetail();
+  });
+  
+  document.getElementById('tiersModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'tiersModal') closeTiersModal();
+  });
+  
+  document.getElementById('auditModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'auditModal') closeAuditModal();
+  });
+  
+  document.getElementById('staffModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'staffModal') closeStaffModal();
+  });
+  
+  document.getElementById('bulkModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'bulkModal') closeBulkModal();
+  });
+  
   // Network status
   window.addEventListener('online', updateConnectionStatus);
+  
+  // Timers stall while the app is in the background: catch up on resume
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible') return;
+    if (State.expiryDay !== new Date().toDateString()) refreshExpiryStatus();
+    scheduleExpiryRefresh();
+  });
   window.addEventListener('offline', updateConnectionStatus);
 }
 
@@ -2289,7 +7381,13 @@ async function handleMasterFile(file, append) {
   try {
     const content = await file.text();
     const products = parseMasterFile(content, file.name);
+    const before = State.masterData.size;
     await saveMasterData(products, append);
+    await audit(append ? 'master-append' : 'master-replace', {
+      summary: `${file.name}: ${products.length} products`,
+      before: { products: before },
+      after: { products: State.masterData.size }
+    });
     
     Haptic.success();
     showToast(`${append ? 'Added' : 'Loaded'} ${products.length} products`, 'success');
@@ -2309,12 +7407,16 @@ async function init() {
     
     // Load data
     await loadMasterData();
+    await Staff.load();
+    await loadSessions();
     await loadHistory();
     await loadSettings();
+    await loadTrash();
     
     // Initialize UI
     initEventListeners();
     updateConnectionStatus();
+    scheduleExpiryRefresh();
     
     // Check for scanner library
     if (typeof Html5Qrcode === 'undefined') {
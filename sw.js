@@ -1,9 +1,9 @@
 /**
- * Pharmacy Tracker - Service Worker v3.0.0
+ * Pharmacy Tracker - Service Worker v3.2.0
  * Handles offline caching and background sync
  */
 
-const CACHE_VERSION = 'v3.1.0';
+const CACHE_VERSION = 'v3.2.0';
 const CACHE_NAME = `pharmacy-tracker-${CACHE_VERSION}`;
 
 // Files to cache for offline use